@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * mongoose-versioner-verify
+ *
+ * Runs verifyVersions on a model from the command line:
+ *
+ *   mongoose-versioner-verify --model <module> [--uri <mongodb uri>] [--fix] [--batch-size <n>]
+ *
+ * The module has to export a model using the plugin.  With --uri the
+ * connection of the model is opened to it, otherwise the module
+ * is expected to connect itself.  The report is printed as JSON, the exit
+ * code is 1 if inconsistencies are left and 2 on errors, --help prints the
+ * usage and exits with 0.
+ */
+
+'use strict';
+
+var path = require('path');
+
+var args = process.argv.slice(2),
+	options = {},
+	model;
+
+var synopsis = 'Usage: mongoose-versioner-verify --model <module> [--uri <mongodb uri>] [--fix] [--batch-size <n>]';
+
+function usage(message) {
+	console.error(message);
+	console.error(synopsis);
+	process.exit(2);
+}
+
+while( args.length ) {
+	var arg = args.shift();
+	if( arg === '--model' ) options.model = args.shift();
+	else if( arg === '--uri' ) options.uri = args.shift();
+	else if( arg === '--fix' ) options.fix = true;
+	else if( arg === '--batch-size' ) options.batchSize = parseInt(args.shift(), 10);
+	else if( arg === '--help' ) {
+		console.log(synopsis);
+		process.exit(0);
+	}
+	else usage('Unknown argument ' + arg);
+}
+if( ! options.model ) usage('--model is required.');
+if( options.batchSize !== undefined && ! ( options.batchSize > 0 ) ) usage('--batch-size has to be a positive number.');
+
+model = require(path.resolve(options.model));
+if( ! model || typeof model.verifyVersions !== 'function' ) usage(options.model + ' does not export a model using mongoose-versioner.');
+
+// the model may be registered on a connection of its own
+function connect(uri) {
+	return new Promise(function(resolve, reject) {
+		model.db.openUri(uri, function(err) {
+			if( err ) return reject(err);
+			resolve();
+		});
+	});
+}
+
+( options.uri ? connect(options.uri) : Promise.resolve() ).then(function() {
+	return model.verifyVersions({ fix: options.fix, batchSize: options.batchSize });
+}).then(function(report) {
+	var left = [].concat(report.missing, report.mismatched, report.orphaned).filter(function(entry) {
+		return ! entry.fixed;
+	});
+	console.log(JSON.stringify(report, null, 2));
+	return model.db.close().then(function() {
+		process.exit(left.length ? 1 : 0);
+	});
+}).catch(function(err) {
+	console.error(err.stack || err);
+	process.exit(2);
+});
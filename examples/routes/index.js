@@ -66,12 +66,8 @@
   }
 
   function item_delete(req, res) {
-    Story.deleteVersion(req.params.vid, function (err, result) {
-      if (err) {
-        res.send({'success':false});
-      } else {
-        res.send(result);
-      }
+    Story.deleteVersion(req.params.vid, function (err) {
+      res.send({'success':!err});
     });
   }
 
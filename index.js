@@ -18,19 +18,57 @@
  *
  * Static Methods added to the original schema:
  * + findVersionById - returns a document version matching the id
+ * + findVersionByNumber - returns a document version by its version number
  * + findVersions - returns all document versions matching query
+ * + diffVersions - returns the changes between two document versions
+ * + diffActive - returns the changes between the active document and a version
  * + saveVersion - saves a document as a version
  * + deleteVersion - deletes a document version
+ * + pruneVersions - deletes the document versions not kept by a retention policy
  * + deleteOriginal - deletes a document and, if append_only is set, stores a new version in the shadow collection with the (optional) deleteFlag set to true
  * + activateVersion - make a document version the active version
+ * + scheduleVersion - activates a document version at a given time and optionally reverts it later
+ * + processScheduledActivations - activates and expires the scheduled versions which are due
+ * + pollScheduledActivations - calls processScheduledActivations periodically
+ * + flushPendingVersions - stores the versions the middleware could not store right away
+ * + verifyVersions - reports and optionally repairs inconsistencies between the original and shadow collections
+ * + bootstrapVersions - creates the initial version of documents stored before the plugin was added
+ * + exportHistory - writes documents and their versions to a stream as NDJSON
+ * + importHistory - reads documents and their versions written by exportHistory
+ * + versionEvents - returns the emitter of the version lifecycle events
+ * + transitionVersion - moves a document version to another workflow state
+ * + findLatestDrafts - returns the latest version in a workflow state per document
+ * + restoreOriginal - recreates a deleted document from its versions
+ * + findDeleted - returns the latest versions of deleted documents
+ * + findByIdAsOf - returns the version of a document which was active at a given time
+ * + findAsOf - returns the versions matching a query which were active at a given time
+ * + populateAsOf - populates references of versions with the versions active at the time
  *
  * Property added to the shadow schema:
  * + versionOfId {ObjectId} Id of the document this version is linked to
+ * + versionNumber {Number} sequential number of the version per document
+ * + versionMeta {Object} createdAt, updatedAt, author, comment, operation, activations, deletion, transitions and orphaned flag of the version
+ * + versionDelta {Object} base version and patch of the version (storage 'delta' only)
+ * + versionSchedule {Object} activateAt, expireAt, state and previousId of a scheduled version
+ * + versionState {String} workflow state of the version (workflow only)
+ *
+ * All methods take an optional callback as their last argument and return
+ * a Promise when it is omitted.  Errors are instances of the classes
+ * exported as `errors` (see lib/errors.js).  A router serving these methods
+ * as a JSON REST API is exported as `router` (see lib/router.js).
  *
  * @param {Schema} schema
  * @param {Object} options
  */
 
+var optional = require('./lib/callback').optional
+  , eachSeries = require('./lib/callback').eachSeries
+  , errors = require('./lib/errors')
+  , diff = require('./lib/diff')
+  , merge = require('./lib/merge')
+  , ndjson = require('./lib/ndjson')
+  , EventEmitter = require('events').EventEmitter;
+
 module.exports = function (schema, options) {
 
   'use strict';
@@ -52,16 +90,61 @@ module.exports = function (schema, options) {
     , append_only = options.append_only // 'full' append-only mode, no version check is performed at all, always a new version created
 		, hookVirtual
 		, deleteFlag = options.delete_flag // this flag gets added to the shadow schema and is set when deleteOriginal is called
-		// the collection flag is used to specify the collection name, which can be useful in combination with discriminators
+		// the collection flag is used to specify the collection name of the shadow model
 		, collection = options.collection
+		// with storage 'delta' versions are stored as patches against their base version
+		, storage = options.storage || 'full'
+		, snapshotInterval = options.snapshotInterval || 10
+		, versionDeltaPath = options.versionDeltaPath || 'versionDelta'
+		, versionNumberPath = options.versionNumberPath || 'versionNumber'
+		, versionMetaPath = options.versionMetaPath || 'versionMeta'
+		// the save and remove hooks take the author and comment of a version from this virtual
+		, versionContextPath = options.versionContextPath || 'versionContext'
+		, contextVirtual
+		// when a version is to be activated and expired, see scheduleVersion
+		, versionSchedulePath = options.versionSchedulePath || 'versionSchedule'
+		// editorial workflow, see transitionVersion
+		, workflow = options.workflow
+		, versionStatePath = options.versionStatePath || 'versionState'
+		// three-way merge stale saves instead of rejecting them, see mergeStale
+		, mergeWanted = options.merge
+		// paths of the original which are (include) or are not (exclude) versioned
+		, include = options.include
+		, exclude = options.exclude
+		// do not store a new version if none of the versioned paths has changed
+		, skipUnchanged = options.skipUnchanged
+		// queue the versions the middleware cannot store, see storeOrQueue
+		, outbox = options.outbox
+		// documents loaded at a time to version the documents of an update query
+		, queryBatchSize = options.queryBatchSize || 100
+		// version lifecycle events, see emitEvent
+		, events = options.events || new EventEmitter()
+		// shadow paths which are not part of the versioned data and are always stored in full
+		, bookkeepingPaths = [versionOfIdPath, versionNumberPath, versionMetaPath, versionSchedulePath]
+		// newest version first
+		, byNumberDesc = {}
+		// retention policy enforced after every write storing a new version, see retainVersions
+		, retention = options.retention
+		// run the steps of every write operation in a transaction
+		, transactions = options.transactions
+		// additional indexes of the shadow collection, see shadowSchema.index
+		, shadowIndexes = options.shadowIndexes || []
+		// versioned paths of the original, their validators are copied to the shadow schema
+		, shadowPaths = {}
+		// versioned paths which are unique in the original, indexed together with versionOfIdPath
+		, uniquePaths = []
 		, schema_options = {};
 
 	if( collection ) schema_options.collection = collection;
+	// the versions of a discriminator are told apart by the same key as the documents
+	if( schema.options.discriminatorKey ) schema_options.discriminatorKey = schema.options.discriminatorKey;
 
-  // Clone the schema to a shadowSchema
+  // Derive the versioned paths of the schema for a shadowSchema
   schema.eachPath(function (key, value) {
-    if (key !== '_id') {
-      shadowFields[key] = value.options;
+    if (key !== '_id' && versioned(key)) {
+      shadowFields[key] = shadowPath(value);
+      shadowPaths[key] = value;
+      if (value.options && value.options.unique) uniquePaths.push(key);
     }
   });
 
@@ -69,9 +152,51 @@ module.exports = function (schema, options) {
   if (!shadowFields[versionOfIdPath]) {
     shadowFields[versionOfIdPath] = {type:Schema.ObjectId};
   }
+	shadowFields[versionNumberPath] = {type:Number};
+	shadowFields[versionMetaPath + '.createdAt'] = {type:Date};
+	shadowFields[versionMetaPath + '.updatedAt'] = {type:Date};
+	shadowFields[versionMetaPath + '.author'] = {type:Schema.Types.Mixed};
+	shadowFields[versionMetaPath + '.comment'] = {type:String};
+	shadowFields[versionMetaPath + '.operation'] = {type:String};
+	shadowFields[versionMetaPath + '.activations'] = {type:[Date]};
+	// when, by whom and why deleteOriginal flagged the version as deleted (delete_flag without append_only)
+	shadowFields[versionMetaPath + '.deletion.at'] = {type:Date};
+	shadowFields[versionMetaPath + '.deletion.author'] = {type:Schema.Types.Mixed};
+	shadowFields[versionMetaPath + '.deletion.comment'] = {type:String};
+	// set by verifyVersions on the versions of documents which vanished without a deletion
+	shadowFields[versionMetaPath + '.orphaned'] = {type:Boolean};
+	shadowFields[versionSchedulePath + '.activateAt'] = {type:Date};
+	shadowFields[versionSchedulePath + '.expireAt'] = {type:Date};
+	// 'pending' until activated, 'active' until expired, then 'expired' ('failed' if the document is gone)
+	shadowFields[versionSchedulePath + '.state'] = {type:String};
+	// the version to revert to on expiry
+	shadowFields[versionSchedulePath + '.previousId'] = {type:Schema.ObjectId};
+	byNumberDesc[versionNumberPath] = -1;
+	byNumberDesc._id = -1;
 	if( deleteFlag && ! shadowFields[deleteFlag] ) {
     shadowFields[deleteFlag] = {type:Boolean};
 	}
+	if( deleteFlag ) bookkeepingPaths.push(deleteFlag);
+	// the shadow discriminators query by it, so a delta has to keep it as well
+	bookkeepingPaths.push(schema.options.discriminatorKey || '__t');
+	if( workflow ) {
+		if( ! Array.isArray(workflow.states) || ! workflow.states.length ) throw new errors.VersionerError('The workflow needs a list of states.', 'NOT_CONFIGURED');
+		workflow = Object.assign({ transitions: {} }, workflow);
+		workflow.initial = workflow.initial || workflow.states[0];
+		[workflow.initial, workflow.activated].concat(workflow.approved || [], Object.keys(workflow.transitions).reduce(function(states, from) {
+			return states.concat(from, workflow.transitions[from]);
+		}, [])).forEach(function(state) {
+			if( state && workflow.states.indexOf(state) === -1 ) throw new errors.VersionerError('Unknown workflow state ' + state + '.', 'NOT_CONFIGURED');
+		});
+		shadowFields[versionStatePath] = {type:String, enum:workflow.states, index:true};
+		shadowFields[versionMetaPath + '.transitions'] = {type:[Schema.Types.Mixed]};
+		bookkeepingPaths.push(versionStatePath);
+	}
+	if( storage === 'delta' ) {
+		shadowFields[versionDeltaPath + '.base'] = {type:Schema.ObjectId, index:true};
+		shadowFields[versionDeltaPath + '.depth'] = {type:Number};
+		shadowFields[versionDeltaPath + '.patch'] = {type:Schema.Types.Mixed};
+	}
 
   // versionId holds a reference to the versioned document that is "active"
   if (!schema.paths[versionIdPath]) {
@@ -80,437 +205,2511 @@ module.exports = function (schema, options) {
   schema.add(fields);
 
   var shadowSchema = new mongoose.Schema(shadowFields, schema_options),
-    shadowModel = mongoose.model(modelName + 'Shadow', shadowSchema);
+		counterSchema,
+		pendingSchema,
+		numberIndex = {};
 
-  //-------------------------------------------------------------------------
-  // Instance Methods
-  //
+	// no two versions of a document may get the same number
+	numberIndex[versionOfIdPath] = 1;
+	numberIndex[versionNumberPath] = 1;
+	shadowSchema.index(numberIndex, { unique: true, partialFilterExpression: (function() {
+		var filter = {};
+		filter[versionNumberPath] = { $exists: true };
+		return filter;
+	})() });
 
-  /**
-   * findVersions
-   *
-   * When you have an instance to a document, calling this instance method
-   * will return a list of document versions available for this document.
-   *
-   * @param callback
-   * @return {Query}
-   */
-  schema.methods.findVersions = function (callback) {
-    var filter = {};
-    filter[versionOfIdPath] = this._id;
-    return shadowModel.find(filter, function (err, result) {
-      callback(err, result);
-    });
-  };
+	// processScheduledActivations looks for due versions by their state
+	shadowSchema.index(pathEquals(versionSchedulePath + '.state', 1), { sparse: true });
 
-  //-------------------------------------------------------------------------
-  // Class Methods
-  //
+	// every version repeats the unique values of its document, they can only be looked up
+	uniquePaths.forEach(function(path) {
+		var index = pathEquals(path, 1);
+		index[versionOfIdPath] = 1;
+		shadowSchema.index(index);
+	});
+	shadowIndexes.forEach(function(index) {
+		if( Array.isArray(index) ) shadowSchema.index(index[0], index[1]);
+		else shadowSchema.index(index);
+	});
+	copyValidators(shadowSchema, shadowPaths);
 
-  /**
-   * findVersionById
-   *
-   * Returns a specific document version by Id
-   *
-   * @param {ObjectId} id   The Id of the document in the shadow schema
-   * @param fields
-   * @param options
-   * @param {Function} callback
-   * @return {Query}
-   */
-  schema.statics.findVersionById = function (id, fields, options, callback) {
-    return shadowModel.findById(id, fields, options, callback);
-  };
+	// holds the last version number handed out per document (_id is the Id of the document)
+	counterSchema = new mongoose.Schema({
+		_id: {type:Schema.ObjectId},
+		seq: {type:Number}
+	}, { versionKey: false });
+	// versions waiting to be stored by flushPendingVersions (_id is the Id of the version)
+	pendingSchema = new mongoose.Schema({
+		_id: {type:Schema.ObjectId},
+		// the name of the model the version belongs to, see versioner
+		model: {type:String},
+		data: {type:Schema.Types.Mixed},
+		error: {type:String},
+		attempts: {type:Number},
+		createdAt: {type:Date}
+	}, { versionKey: false });
 
-  /**
-   * findVersions
-   *
-   * Returns a collection of document versions that
-   * are linked as to the document with the passed in Id.
-   *
-   * @param {ObjectId} id   The Id of the active document in the original schema
-   * @param fields
-   * @param options
-   * @param {Function} callback
-   */
-  schema.statics.findVersions = function (id, fields, options, callback) {
-    var model = mongoose.model(modelName),
-      returnObj = {
-        activeId:null,
-        docs:[]
-      };
+	/*
+	 * Connections and discriminators
+	 *
+	 * Returns the models the methods and hooks of a model work with:
+	 * + original {Model} the model itself
+	 * + shadow {Model} the model of its versions
+	 * + counter {Model} the version numbers handed out per document
+	 * + pending {Model} the versions queued by the middleware (outbox only)
+	 * The shadow, counter and pending models are created on the connection of
+	 * the model when first needed, so a model registered with
+	 * createConnection() keeps its versions on that connection as well.  A
+	 * discriminator of the model gets a discriminator of the shadow model with
+	 * the same discriminator value, its versions keep the fields of their type
+	 * in the shadow collection and its methods only see the versions of its
+	 * type.
+	 */
+	function versioner(model) {
+		var db = model.db,
+			models = { original: model };
+		if( model.baseModelName && model.baseModelName !== model.modelName ) {
+			models.shadow = discriminatorShadow(model, versioner(db.model(model.baseModelName)).shadow);
+		} else if( db.models[modelName + 'Shadow'] ) {
+			models.shadow = db.models[modelName + 'Shadow'];
+		} else {
+			models.shadow = db.model(modelName + 'Shadow', shadowSchema);
+			// versions read through the shadow model need the discriminators to get their type
+			Object.keys(model.discriminators || {}).forEach(function(name) {
+				discriminatorShadow(model.discriminators[name], models.shadow);
+			});
+		}
+		models.counter = db.models[modelName + 'VersionCounter'] || db.model(modelName + 'VersionCounter', counterSchema);
+		if( outbox ) models.pending = db.models[modelName + 'PendingVersion'] || db.model(modelName + 'PendingVersion', pendingSchema);
+		return models;
+	}
 
-    model.findById(id, fields, options, function (err, activeDoc) {
-      if (err) {
-        callback(err);
-      } else if (activeDoc === null) {
-        callback(err, returnObj);
-      } else {
-        returnObj.activeId = activeDoc[versionIdPath];
-        var filter = {};
-        filter[versionOfIdPath] = activeDoc._id;
-        shadowModel.find(filter, fields, options, function (err, result) {
-          if (err) {
-            callback(err);
-          } else {
-            returnObj.docs = result;
-            callback(err, returnObj);
-          }
-        });
-      }
-    });
-  };
+	function discriminatorShadow(model, baseShadow) {
+		var name = model.modelName + 'Shadow', definitions = {}, paths = {}, result;
+		if( baseShadow.discriminators && baseShadow.discriminators[name] ) return baseShadow.discriminators[name];
+		// the paths of the discriminator which are not part of the base schema
+		model.schema.eachPath(function(key, schemaType) {
+			if( schema.paths[key] || key === model.schema.options.discriminatorKey || ! versioned(key) ) return;
+			definitions[key] = shadowPath(schemaType);
+			paths[key] = schemaType;
+		});
+		result = new Schema(definitions, schema_options);
+		copyValidators(result, paths);
+		return baseShadow.discriminator(name, result, model.schema.discriminatorMapping && model.schema.discriminatorMapping.value);
+	}
+
+	// The shadow model of the type of an original document, e.g. one found through the base model
+	function shadowFor(models, doc) {
+		return doc.constructor !== models.original && doc.constructor.baseModelName ? versioner(doc.constructor).shadow : models.shadow;
+	}
+
+	// The model of the type of a version, the reverse of shadowFor
+	function originalFor(models, versDoc) {
+		var value = versDoc.get(models.original.schema.options.discriminatorKey),
+			discriminators = models.original.discriminators || {};
+		return Object.keys(discriminators).map(function(name) {
+			return discriminators[name];
+		}).filter(function(model) {
+			return value && model.schema.discriminatorMapping && model.schema.discriminatorMapping.value === value;
+		})[0] || models.original;
+	}
+
+	/*
+	 * Hands out the next version number of a document.  The counter is
+	 * incremented atomically so concurrent writers never get the same number.
+	 */
+	function nextVersionNumber(models, versionOfId, session, callback, retried) {
+		models.counter.findOneAndUpdate({ _id: versionOfId }, { $inc: { seq: 1 } }, sessionOptions(session, { upsert: true, new: true }), function(err, counter) {
+			// two writers created the counter at the same time, the loser tries again
+			if( err && err.code === 11000 && ! retried ) return nextVersionNumber(models, versionOfId, session, callback, true);
+			if( err ) return callback(err);
+			callback(null, counter.seq);
+		});
+	}
+
+	/*
+	 * Transactions
+	 *
+	 * Runs fn(session, callback) in a transaction if the transactions option
+	 * is set.  A session passed in as options.session is joined instead, its
+	 * transaction is committed or aborted by its owner.  Without either fn
+	 * runs without a session.
+	 */
+	function transaction(models, options, fn, callback) {
+		var model = models.original, session, result;
+		if( options && options.session ) return fn(options.session, callback);
+		if( ! transactions ) return fn(null, callback);
+		model.db.startSession().then(function(started) {
+			session = started;
+			return session.withTransaction(function() {
+				return new Promise(function(resolve, reject) {
+					fn(session, function(err, res) {
+						if( err ) return reject(err);
+						result = res;
+						resolve();
+					});
+				});
+			});
+		}).then(function() {
+			session.endSession();
+			// the session is gone, do not let the result use it for later saves
+			if( result && typeof result.$session === 'function' ) result.$session(null);
+			process.nextTick(callback, null, result);
+		}, function(err) {
+			if( session ) session.endSession();
+			process.nextTick(callback, err);
+		});
+	}
+
+	/*
+	 * Tells whether a path of the original is versioned, i.e. it or one of its
+	 * parents is included (if include is given) and neither is excluded.
+	 */
+	function versioned(path) {
+		function covers(prefix) {
+			return path === prefix || path.indexOf(prefix + '.') === 0;
+		}
+		if( include && ! include.some(covers) ) return false;
+		return ! ( exclude && exclude.some(covers) );
+	}
+
+	/*
+	 * Shadow schema
+	 *
+	 * Derives the definition of a path of the shadow schema from the schema
+	 * type of the original.  Every version of a document repeats its values,
+	 * so unique constraints and other indexes are left out, subdocuments and
+	 * arrays of them get a shadow schema derived the same way.
+	 */
+	function withoutIndexes(definition) {
+		var result = Object.assign({}, definition);
+		['unique', 'index', 'sparse', 'expires', 'text'].forEach(function(option) {
+			delete result[option];
+		});
+		return result;
+	}
+
+	function shadowPath(schemaType) {
+		var definition = withoutIndexes(schemaType.options), caster;
+		if( schemaType.$isSingleNested ) {
+			definition.type = shadowSubschema(schemaType.schema);
+		} else if( schemaType.$isMongooseDocumentArray ) {
+			definition.type = [shadowSubschema(schemaType.schema)];
+		} else if( Array.isArray(definition.type) ) {
+			// e.g. [{type: String, index: true}]
+			caster = definition.type[0];
+			if( caster && caster.constructor === Object ) definition.type = [withoutIndexes(caster)];
+		}
+		return definition;
+	}
+
+	function shadowSubschema(subschema) {
+		var definitions = {}, paths = {}, subschemaOptions = { _id: false }, result;
+		subschema.eachPath(function(key, schemaType) {
+			definitions[key] = shadowPath(schemaType);
+			paths[key] = schemaType;
+		});
+		// an _id of the subdocuments is part of the definitions
+		['id', 'strict', 'minimize'].forEach(function(option) {
+			if( subschema.options[option] !== undefined ) subschemaOptions[option] = subschema.options[option];
+		});
+		result = new Schema(definitions, subschemaOptions);
+		copyValidators(result, paths);
+		return result;
+	}
+
+	// Validators added with path().validate() are not part of the options of a path
+	function copyValidators(target, paths) {
+		Object.keys(paths).forEach(function(key) {
+			if( target.path(key) && paths[key].validators ) target.path(key).validators = paths[key].validators.slice();
+		});
+	}
+
+	function getPath(obj, path) {
+		return path.split('.').reduce(function(value, key) {
+			return value !== null && typeof value === 'object' ? value[key] : undefined;
+		}, obj);
+	}
+
+	// Sets (or with value undefined removes) a dotted path, the objects along the path are copied
+	function setPath(obj, path, value) {
+		var keys = path.split('.'), last = keys.pop();
+		keys.forEach(function(key) {
+			if( obj[key] === null || typeof obj[key] !== 'object' ) {
+				if( value === undefined ) return;
+				obj[key] = {};
+			} else {
+				obj[key] = Object.assign({}, obj[key]);
+			}
+			obj = obj[key];
+		});
+		if( obj === null || typeof obj !== 'object' ) return;
+		if( value === undefined ) delete obj[last];
+		else obj[last] = value;
+	}
+
+	// Drops the paths which are not versioned from a copy of the data of a document
+	function versionedData(obj) {
+		var result = include ? {} : obj;
+		( include || [] ).forEach(function(path) {
+			var value = getPath(obj, path);
+			if( value !== undefined ) setPath(result, path, value);
+		});
+		( exclude || [] ).forEach(function(path) {
+			if( getPath(result, path) !== undefined ) setPath(result, path, undefined);
+		});
+		return result;
+	}
+
+	/*
+	 * Tells whether content has the same versioned data as the active version
+	 * of the document id.  With partial set only the paths given in content
+	 * are compared.
+	 */
+	function unchangedVersion(models, id, content, partial, session, callback) {
+		var model = models.original;
+		model.findById(id, versionIdPath, sessionOptions(session), function(err, original) {
+			if( err || ! original || ! original[versionIdPath] ) return callback(err, false);
+			findVersion(models, original[versionIdPath], null, sessionOptions(session), function(err, active) {
+				if( err || ! active ) return callback(err, false);
+				var current = versionContent(active), compared = {};
+				if( partial ) {
+					Object.keys(content).forEach(function(key) {
+						compared[key] = current[key];
+					});
+					current = compared;
+				}
+				callback(null, diff.diff(current, content).length === 0);
+			});
+		});
+	}
+
+	function pathEquals(path, value) {
+		var filter = {};
+		filter[path] = value;
+		return filter;
+	}
+
+	function sessionOptions(session, options) {
+		return session ? Object.assign({}, options, { session: session }) : options;
+	}
+
+	/*
+	 * A conditional write on the original did not match anything, find out
+	 * whether the document is gone or its revision has changed in the meantime.
+	 */
+	function staleRevision(model, id, expected, session, callback) {
+		var fields = {};
+		fields[versionIdPath] = 1;
+		model.findById(id, fields, sessionOptions(session), function(err, current) {
+			if( err ) return callback(err);
+			if( ! current ) return callback(new errors.OriginalNotFoundError(id));
+			callback(new errors.VersionConflictError(expected, current[versionIdPath]));
+		});
+	}
+
+	/*
+	 * Three-way merges the content a stale save is based on (the version
+	 * baseId), the active content of the document and the incoming content.
+	 * With partial set the incoming content only holds the paths to change,
+	 * the others are taken from the base so they do not count as removed.
+	 * The callback receives { content, revision, removed }: the merged content,
+	 * the revision it is based on now and the paths it no longer has, or a
+	 * MergeConflictError with the conflicting fields.
+	 */
+	function mergeStale(models, id, baseId, incoming, partial, session, callback) {
+		var model = models.original;
+		model.findById(id, null, sessionOptions(session), function(err, current) {
+			if( err ) return callback(err);
+			if( ! current ) return callback(new errors.OriginalNotFoundError(id));
+			findVersion(models, baseId, null, sessionOptions(session), function(err, base) {
+				if( err ) return callback(err);
+				// without the base version there is nothing to merge against
+				if( ! base ) return callback(new errors.VersionConflictError(baseId, current[versionIdPath]));
+				var active = versionContent(current),
+					baseContent = versionContent(base),
+					merged = merge.merge(baseContent, active, partial ? Object.assign({}, baseContent, incoming) : incoming);
+				if( merged.conflicts.length ) return callback(new errors.MergeConflictError(baseId, current[versionIdPath], merged.conflicts));
+				callback(null, {
+					content: merged.result,
+					revision: current[versionIdPath],
+					removed: Object.keys(active).filter(function(key) {
+						return ! ( key in merged.result );
+					})
+				});
+			});
+		});
+	}
+
+	/*
+	 * Returns the versioned data of a document or version, i.e. without ids and bookkeeping paths.
+	 */
+	function versionContent(doc) {
+		var obj = doc.toObject ? doc.toObject() : Object.assign({}, doc);
+		delete obj._id;
+		delete obj[versionOfIdPath];
+		delete obj[versionIdPath];
+		delete obj[versionDeltaPath];
+		if( schema.options.versionKey ) delete obj[schema.options.versionKey];
+		bookkeepingPaths.forEach(function(key) {
+			delete obj[key];
+		});
+		return include || exclude ? versionedData(obj) : obj;
+	}
+
+	/*
+	 * Copies the versioned data of a document or version onto another one.
+	 */
+	function copyContent(source, target) {
+		var content = versionContent(source);
+		Object.keys(content).forEach(function(key) {
+			target[key] = content[key];
+		});
+	}
+
+	/*
+	 * Records when, by whom, why and through which operation ('save', 'delete', 'restore')
+	 * a version was created or changed.  meta may contain an author and a comment.
+	 */
+	function stampVersion(versDoc, operation, meta) {
+		meta = meta || {};
+		if( versDoc.isNew || ! versDoc.get(versionMetaPath + '.createdAt') ) {
+			versDoc.set(versionMetaPath + '.createdAt', new Date());
+			if( workflow && ! versDoc.get(versionStatePath) ) versDoc.set(versionStatePath, workflow.initial);
+		} else {
+			versDoc.set(versionMetaPath + '.updatedAt', new Date());
+		}
+		versDoc.set(versionMetaPath + '.operation', operation);
+		versDoc.set(versionMetaPath + '.author', meta.author);
+		versDoc.set(versionMetaPath + '.comment', meta.comment);
+	}
+
+	/*
+	 * Records that a version became the active version of its document by
+	 * being written, not through activate().  With approved states configured
+	 * such a version has not been approved, so it keeps its state.
+	 */
+	function markActive(versDoc) {
+		versDoc.get(versionMetaPath + '.activations').push(new Date());
+		if( workflow && workflow.activated && ! workflow.approved ) versDoc.set(versionStatePath, workflow.activated);
+	}
+
+	// Versions without a state have been stored before the workflow was configured
+	function stateOf(versDoc) {
+		return versDoc.get(versionStatePath) || workflow.initial;
+	}
+
+	/*
+	 * Makes a version the active version of its document, the callback
+	 * receives the saved original.  With approvedOnly set the version has to
+	 * be in one of the approved states of the workflow.
+	 */
+	function activate(models, id, approvedOnly, session, callback) {
+		// 1) First look to see if this document exists
+		findVersion(models, id, null, sessionOptions(session), function (err, result) {
+			if (err) {
+				callback(err);
+			} else if (result === null) {
+				callback(new errors.VersionNotFoundError(id));
+			} else if (approvedOnly && workflow && workflow.approved && workflow.approved.indexOf(stateOf(result)) === -1) {
+				callback(new errors.NotApprovedError(id, stateOf(result)));
+			} else {
+				var model = models.original;
+				// 2) Find the Active document
+				model.findById(result[versionOfIdPath], versionIdPath, sessionOptions(session), function (err, active) {
+					if (err) {
+						callback(err);
+					} else if (active === null) {
+						callback(new errors.OriginalNotFoundError(result[versionOfIdPath]));
+					} else {
+						// 3) Copy all of the properties from the Version to the Active document
+						//    and set the version pointer to the Version we are activating,
+						//    past the save hook which would take this for a stale save
+						var content = { $set: versionContent(result) };
+						content.$set[versionIdPath] = id;
+						model.updateOne({_id:active._id}, content, sessionOptions(session, { skipVersioning: true, runValidators: true }), function (err) {
+							if (err) {
+								callback(err);
+							} else {
+								// 4) Record the activation on the Version
+								var update = {$push:{}};
+								update.$push[versionMetaPath + '.activations'] = new Date();
+								if (workflow && workflow.activated) update.$set = pathEquals(versionStatePath, workflow.activated);
+								models.shadow.updateOne({_id:id}, update, sessionOptions(session), function (err) {
+									if (err) return callback(err);
+									model.findById(active._id, null, sessionOptions(session), callback);
+								});
+							}
+						});
+					}
+				});
+			}
+		});
+	}
+
+	/*
+	 * Scheduling
+	 *
+	 * Moves the schedule of a version from one state to the next.  Of several
+	 * workers processing the same version only the first one gets it, the
+	 * others are passed null.
+	 */
+	function claimSchedule(models, id, from, to, session, callback) {
+		var filter = pathEquals(versionSchedulePath + '.state', from);
+		filter._id = id;
+		models.shadow.findOneAndUpdate(filter, { $set: pathEquals(versionSchedulePath + '.state', to) }, sessionOptions(session, { new: false }), callback);
+	}
+
+	function setSchedule(models, id, values, session, callback) {
+		var update = { $set: {} };
+		Object.keys(values).forEach(function(key) {
+			update.$set[versionSchedulePath + '.' + key] = values[key];
+		});
+		models.shadow.updateOne({ _id: id }, update, sessionOptions(session), callback);
+	}
+
+	/*
+	 * Ends a failed step of a schedule.  If the version or its document has
+	 * gone or the version has not been approved in time the schedule fails
+	 * for good, otherwise it is put back into its previous state (the
+	 * transaction takes care of that if there is one) so the next run tries
+	 * again.
+	 */
+	function settleSchedule(models, id, state, session, err, callback) {
+		if( err instanceof errors.VersionNotFoundError || err instanceof errors.OriginalNotFoundError || err instanceof errors.NotApprovedError ) {
+			return setSchedule(models, id, { state: 'failed' }, session, function(err) {
+				callback(err, 'failed');
+			});
+		}
+		if( session ) return callback(err);
+		setSchedule(models, id, { state: state }, null, function() {
+			callback(err);
+		});
+	}
+
+	// Activates a version whose activateAt is due, remembering the version it replaces.
+	// The callback receives the outcome and the saved original if it has been activated.
+	function startSchedule(models, id, session, callback) {
+		var model = models.original;
+		claimSchedule(models, id, 'pending', 'active', session, function(err, version) {
+			if( err || ! version ) return callback(err, null);
+			model.findById(version[versionOfIdPath], versionIdPath, sessionOptions(session), function(err, original) {
+				if( err ) return settleSchedule(models, id, 'pending', session, err, callback);
+				if( ! original ) return settleSchedule(models, id, 'pending', session, new errors.OriginalNotFoundError(version[versionOfIdPath]), callback);
+				var activeId = original[versionIdPath];
+				// activating it again would only record another activation
+				if( activeId && activeId.toString() === id.toString() ) return callback(null, 'activated');
+				setSchedule(models, id, { previousId: activeId }, session, function(err) {
+					if( err ) return settleSchedule(models, id, 'pending', session, err, callback);
+					activate(models, id, true, session, function(err, activeSaved) {
+						if( err ) return settleSchedule(models, id, 'pending', session, err, callback);
+						callback(null, 'activated', activeSaved);
+					});
+				});
+			});
+		});
+	}
+
+	// Reverts a version whose expireAt is due to the version it replaced.
+	// The callback receives the outcome and the saved original if it has been reverted.
+	function endSchedule(models, id, session, callback) {
+		var model = models.original;
+		claimSchedule(models, id, 'active', 'expired', session, function(err, version) {
+			if( err || ! version ) return callback(err, null);
+			var previousId = version.get(versionSchedulePath + '.previousId');
+			model.findById(version[versionOfIdPath], versionIdPath, sessionOptions(session), function(err, original) {
+				if( err ) return settleSchedule(models, id, 'active', session, err, callback);
+				// leave the document alone if another version has been activated (or it was deleted) since
+				if( ! previousId || ! original || ! original[versionIdPath] || original[versionIdPath].toString() !== id.toString() ) return callback(null, 'expired');
+				activate(models, previousId, false, session, function(err, activeSaved) {
+					if( err ) return settleSchedule(models, id, 'active', session, err, callback);
+					callback(null, 'expired', activeSaved);
+				});
+			});
+		});
+	}
+
+	/*
+	 * Point in time
+	 *
+	 * Finds the Id of the version of a document which was active at the given
+	 * date, null if the document did not exist or was deleted at that time.
+	 * A version is active from each of its activations until the next
+	 * activation of another version or the deletion of the document.  Versions
+	 * written before activations were recorded count as activated when created.
+	 */
+	function versionAsOf(models, id, date, session, callback) {
+		models.shadow.aggregate([
+			{ $match: models.shadow.find(pathEquals(versionOfIdPath, id)).cast(models.shadow) },
+			{ $project: { documentId: '$' + versionOfIdPath, versionId: '$_id', meta: '$' + versionMetaPath } }
+		].concat(asOfStages(date))).session(session).exec(function(err, active) {
+			callback(err, active && active.length ? active[0].versionId : null);
+		});
+	}
+
+	/*
+	 * The aggregation stages of versionAsOf.  They take the versions as
+	 * { documentId, versionId, meta } and group them by document into
+	 * { _id: documentId, versionId }, versionId being null if the document was
+	 * deleted at that time.  A matching field is passed through.
+	 */
+	function asOfStages(date) {
+		var deletion = { $eq: ['$meta.operation', 'delete'] },
+			// a version stored by a deletion has never been active, unlike one flagged as deleted by deleteOriginal
+			created = { $cond: [{ $and: [deletion, { $not: ['$meta.deletion'] }] }, [], [{ $ifNull: ['$meta.createdAt', { $toDate: '$versionId' }] }]] };
+		return [
+			{ $project: { documentId: 1, matching: 1, events: { $concatArrays: [
+				{ $map: { input: { $ifNull: ['$meta.activations', created] }, as: 'at', in: { at: '$$at', versionId: '$versionId', deletion: { $literal: false } } } },
+				{ $cond: [deletion, [{ at: { $ifNull: ['$meta.deletion.at', { $ifNull: ['$meta.updatedAt', '$meta.createdAt'] }] }, versionId: null, deletion: { $literal: true } }], []] }
+			] } } },
+			{ $unwind: '$events' },
+			{ $match: { 'events.at': { $lte: date } } },
+			// the deletion wins a tie
+			{ $sort: { 'events.at': -1, 'events.deletion': -1 } },
+			{ $group: { _id: '$documentId', versionId: { $first: '$events.versionId' }, matching: { $first: '$matching' } } }
+		];
+	}
+
+	/*
+	 * Builds the result of diffVersions and diffActive.
+	 */
+	function diffResult(fromId, fromDoc, toId, toDoc, options) {
+		var changes = diff.diff(versionContent(fromDoc), versionContent(toDoc));
+		if( options && options.format === 'patch' ) return diff.toJsonPatch(changes);
+		return { from: fromId, to: toId, changes: changes };
+	}
+
+	/*
+	 * Shadow storage
+	 *
+	 * All reads and writes of versions go through findVersion, findShadows,
+	 * storeVersion and removeVersion.  Reads take the session as options.session,
+	 * writes as an argument.  With storage 'delta' a version only
+	 * stores a JSON Patch against its base version (the previous version of
+	 * the document) and every snapshotInterval versions a full snapshot is
+	 * taken.  The functions reconstruct the full versions transparently.
+	 */
+
+	function bookkeeping(obj) {
+		var result = { _id: obj._id };
+		bookkeepingPaths.forEach(function(key) {
+			if( obj[key] !== undefined ) result[key] = obj[key];
+		});
+		return result;
+	}
+
+	// The full raw representation of a version document
+	function snapshotOf(versDoc) {
+		var obj = versDoc.toObject({ depopulate: true });
+		return Object.assign(bookkeeping(obj), versionContent(obj));
+	}
+
+	// Applies a mongoose style projection to the reconstructed content
+	function selectFields(content, fields) {
+		var spec = {}, keys, include, result = {};
+		if( typeof fields === 'string' ) {
+			fields.split(/\s+/).forEach(function(field) {
+				if( field ) spec[field.replace(/^-/, '')] = field.charAt(0) === '-' ? 0 : 1;
+			});
+		} else if( fields ) {
+			spec = fields;
+		}
+		keys = Object.keys(spec).filter(function(key) { return key !== '_id'; });
+		if( ! keys.length ) return content;
+		include = !! spec[keys[0]];
+		Object.keys(content).forEach(function(key) {
+			if( ( key in spec ) === include ) result[key] = content[key];
+		});
+		return result;
+	}
+
+	/*
+	 * Queries on the shadow collection itself only see the bookkeeping paths
+	 * of most versions with storage 'delta'.  Returns an error naming the
+	 * first other path of the filter, null if it can be run.
+	 */
+	function unsupportedFilter(filter) {
+		function contentPath(filter) {
+			var found = null;
+			Object.keys(filter || {}).some(function(key) {
+				if( key === '$and' || key === '$or' || key === '$nor' ) {
+					found = filter[key].map(contentPath).filter(Boolean)[0] || null;
+				} else if( key !== '_id' && ! bookkeepingPaths.some(function(path) { return key === path || key.indexOf(path + '.') === 0; }) ) {
+					found = key;
+				}
+				return found;
+			});
+			return found;
+		}
+		var path = storage === 'delta' && contentPath(filter);
+		return path ? new errors.VersionerError('Versions stored as deltas cannot be queried by ' + path + '.', 'UNSUPPORTED_FILTER') : null;
+	}
+
+	// Reconstructs the content of a raw version, contents caches it by version id
+	function expandVersion(models, raw, contents, session, callback) {
+		var id = raw._id.toString(), delta = raw[versionDeltaPath];
+		if( contents[id] ) return callback(null, contents[id]);
+		if( ! delta || ! delta.base ) {
+			contents[id] = diff.normalize(versionContent(raw));
+			return callback(null, contents[id]);
+		}
+		models.shadow.findById(delta.base).session(session).lean().exec(function(err, base) {
+			if( err ) return callback(err);
+			if( ! base ) return callback(new errors.InconsistentHistoryError('The base version ' + delta.base + ' of version ' + id + ' is missing.'));
+			expandVersion(models, base, contents, session, function(err, baseContent) {
+				if( err ) return callback(err);
+				contents[id] = diff.applyPatch(baseContent, delta.patch || []);
+				callback(null, contents[id]);
+			});
+		});
+	}
+
+	function expandVersions(models, raws, fields, session, callback) {
+		var contents = {}, docs = [];
+		eachSeries(raws, function(raw, next) {
+			expandVersion(models, raw, contents, session, function(err, content) {
+				if( err ) return next(err);
+				docs.push(models.shadow.hydrate(Object.assign({}, selectFields(content, fields), bookkeeping(raw))));
+				next();
+			});
+		}, function(err) {
+			if( err ) return callback(err);
+			callback(null, docs);
+		});
+	}
+
+	function findVersion(models, id, fields, options, callback) {
+		if( storage !== 'delta' ) return models.shadow.findById(id, fields, options, callback);
+		models.shadow.findById(id, null, options).lean().exec(function(err, raw) {
+			if( err || ! raw ) return callback(err, null);
+			expandVersions(models, [raw], fields, options && options.session, function(err, docs) {
+				callback(err, docs && docs[0]);
+			});
+		});
+	}
+
+	function findShadows(models, filter, fields, options, callback) {
+		if( storage !== 'delta' ) return models.shadow.find(filter, fields, options, callback);
+		models.shadow.find(filter, null, options).lean().exec(function(err, raws) {
+			if( err ) return callback(err);
+			expandVersions(models, raws, fields, options && options.session, callback);
+		});
+	}
+
+	// Finds the version a new (or changed) version is stored against, none means store a snapshot
+	function findBase(models, versDoc, session, callback) {
+		var filter = {}, query;
+		if( ! versDoc.isNew ) {
+			// a changed version keeps its base
+			query = models.shadow.findById(versDoc._id).lean();
+		} else if( versDoc[versionOfIdPath] ) {
+			filter[versionOfIdPath] = versDoc[versionOfIdPath];
+			filter._id = { $ne: versDoc._id };
+			query = models.shadow.findOne(filter).sort(byNumberDesc).lean();
+		} else {
+			return callback(null, null);
+		}
+		query.session(session).exec(function(err, raw) {
+			if( err || ! raw ) return callback(err, null);
+			if( ! versDoc.isNew ) {
+				if( ! raw[versionDeltaPath] || ! raw[versionDeltaPath].base ) return callback(null, null);
+				return models.shadow.findById(raw[versionDeltaPath].base).session(session).lean().exec(function(err, base) {
+					if( err || ! base ) return callback(err, null);
+					expandVersion(models, base, {}, session, function(err, content) {
+						callback(err, base, content);
+					});
+				});
+			}
+			expandVersion(models, raw, {}, session, function(err, content) {
+				callback(err, raw, content);
+			});
+		});
+	}
+
+	// Versions based on a version which is about to change or disappear are turned into snapshots
+	function rebaseChildren(models, id, session, callback) {
+		var filter = {}, contents = {};
+		filter[versionDeltaPath + '.base'] = id;
+		models.shadow.find(filter).session(session).lean().exec(function(err, children) {
+			if( err ) return callback(err);
+			eachSeries(children, function(child, next) {
+				expandVersion(models, child, contents, session, function(err, content) {
+					if( err ) return next(err);
+					var snapshot = snapshotOf(models.shadow.hydrate(Object.assign({}, content, bookkeeping(child))));
+					models.shadow.collection.replaceOne({ _id: child._id }, snapshot, sessionOptions(session, {}), next);
+				});
+			}, callback);
+		});
+	}
+
+	function writeVersion(models, versDoc, session, callback) {
+		if( storage !== 'delta' ) return versDoc.save(sessionOptions(session, {}), callback);
+		versDoc.validate(function(err) {
+			if( err ) return callback(err);
+			( versDoc.isNew ? function(models, id, session, next) { next(); } : rebaseChildren )(models, versDoc._id, session, function(err) {
+				if( err ) return callback(err);
+				findBase(models, versDoc, session, function(err, base, baseContent) {
+					if( err ) return callback(err);
+					var raw = snapshotOf(versDoc),
+						depth = base && base[versionDeltaPath] && base[versionDeltaPath].depth || 0;
+					if( base && depth + 1 < snapshotInterval ) {
+						raw = bookkeeping(raw);
+						raw[versionDeltaPath] = {
+							base: base._id,
+							depth: depth + 1,
+							patch: diff.toJsonPatch(diff.diff(baseContent, versionContent(versDoc)))
+						};
+					}
+					models.shadow.collection.replaceOne({ _id: raw._id }, raw, sessionOptions(session, { upsert: true }), function(err) {
+						if( err ) return callback(err);
+						versDoc.isNew = false;
+						callback(null, versDoc);
+					});
+				});
+			});
+		});
+	}
+
+	function storeVersion(models, versDoc, session, callback) {
+		// versions are numbered as soon as they are linked to their document
+		if( versDoc[versionOfIdPath] && ! versDoc[versionNumberPath] ) {
+			return nextVersionNumber(models, versDoc[versionOfIdPath], session, function(err, number) {
+				if( err ) return callback(err);
+				versDoc[versionNumberPath] = number;
+				storeVersion(models, versDoc, session, callback);
+			});
+		}
+		writeVersion(models, versDoc, session, callback);
+	}
+
+	/*
+	 * Applies the retention option to the history of a document.  Called once
+	 * a new version is stored and the original written, so a write which fails
+	 * (a stale revision, a duplicate) never costs any versions.
+	 */
+	function retainVersions(models, versionOfId, session, callback) {
+		if( ! retention || ! versionOfId ) return callback(null, []);
+		pruneDocument(models, versionOfId, retention, session, callback);
+	}
+
+	// Wraps the callback of an operation passing on a new version so retainVersions runs first
+	function retainAfter(models, session, callback) {
+		return function(err, version) {
+			if( err ) return callback(err);
+			retainVersions(models, version[versionOfIdPath], session, function(err) {
+				callback(err, version);
+			});
+		};
+	}
+
+	/*
+	 * Events
+	 *
+	 * Emits name on the emitter returned by versionEvents() with
+	 * { modelName, documentId, versionId, operation, meta } and the error
+	 * for conflicts.  Listeners run once the operation is done, so they can
+	 * neither slow it down nor make it fail.
+	 */
+	function emitEvent(name, documentId, versionId, operation, meta, error) {
+		var event = {
+			modelName: modelName,
+			documentId: documentId,
+			versionId: versionId,
+			operation: operation,
+			meta: meta
+		};
+		if( error ) event.error = error;
+		process.nextTick(function() {
+			events.emit(name, event);
+		});
+	}
+
+	// Stale saves and deletions are reported as conflict events
+	function emitConflict(err, documentId, operation, meta) {
+		if( err && ( err.code === 'VERSION_CONFLICT' || err.code === 'MERGE_CONFLICT' ) ) {
+			emitEvent('conflict', documentId, err.expected, operation, meta, err);
+		}
+	}
+
+	/*
+	 * Outbox
+	 *
+	 * Stores a version written by the middleware after the original.  With
+	 * the outbox option set a version which cannot be stored is queued in the
+	 * pending collection instead and stored later by flushPendingVersions.
+	 * The callback only receives a ShadowWriteError if queueing fails as well
+	 * or the write is part of a transaction, which is rolled back anyway.
+	 * Otherwise it is told whether the version has been queued.
+	 */
+	function storeOrQueue(models, versDoc, session, callback) {
+		storeVersion(models, versDoc, session, function(err) {
+			if( ! err ) {
+				return retainVersions(models, versDoc[versionOfIdPath], session, function(err) {
+					callback(err, false);
+				});
+			}
+			if( ! outbox || session ) return callback(new errors.ShadowWriteError(err, versDoc._id));
+			models.pending.create([{
+				_id: versDoc._id,
+				model: models.original.modelName,
+				data: versDoc.toObject({ depopulate: true }),
+				error: err.message || String(err),
+				attempts: 1,
+				createdAt: new Date()
+			}], function(queueErr) {
+				if( queueErr ) return callback(new errors.ShadowWriteError(err, versDoc._id));
+				callback(null, true);
+			});
+		});
+	}
+
+	/*
+	 * Calls fn(docs, callback) with the documents of model matching filter in
+	 * batches of batchSize ordered by _id, so a large collection is never
+	 * loaded at once.
+	 */
+	function eachBatch(model, filter, fields, batchSize, fn, callback) {
+		(function next(lastId) {
+			var query = lastId ? { $and: [filter, { _id: { $gt: lastId } }] } : filter;
+			model.find(query, fields).sort({ _id: 1 }).limit(batchSize).exec(function(err, docs) {
+				if( err || ! docs.length ) return callback(err);
+				fn(docs, function(err) {
+					if( err || docs.length < batchSize ) return callback(err);
+					next(docs[docs.length - 1]._id);
+				});
+			});
+		})();
+	}
+
+	/*
+	 * Calls fn(ids, callback) with the Ids of the documents having a version
+	 * matching filter in batches of batchSize.  They are read through an
+	 * aggregation cursor, a list from distinct() would be limited to 16 MB.
+	 */
+	function eachVersionedBatch(models, filter, batchSize, fn, callback) {
+		var match = { $and: [filter, pathEquals(versionOfIdPath, { $ne: null })] },
+			cursor = models.shadow.aggregate([
+				{ $match: models.shadow.find(match).cast(models.shadow) },
+				{ $group: { _id: '$' + versionOfIdPath } }
+			]).allowDiskUse(true).cursor({ batchSize: batchSize });
+		function fail(err) {
+			cursor.close(function() {
+				callback(err);
+			});
+		}
+		(function next(batch) {
+			cursor.next(function(err, doc) {
+				if( err ) return fail(err);
+				if( doc ) batch.push(doc._id);
+				if( doc && batch.length < batchSize ) return next(batch);
+				if( ! batch.length ) return callback();
+				fn(batch, function(err) {
+					if( err ) return fail(err);
+					if( ! doc ) return callback();
+					next([]);
+				});
+			});
+		})([]);
+	}
+
+	// Versions are listed in the order of their version numbers unless a sort is given
+	function listOptions(options) {
+		var sort = {};
+		if( options && options.sort ) return options;
+		sort[versionNumberPath] = 1;
+		sort._id = 1;
+		return Object.assign({}, options, { sort: sort });
+	}
+
+	/*
+	 * Pagination
+	 *
+	 * Matches the versions coming after (higher set) or before the cursor
+	 * version in the order of version numbers.  Unnumbered versions, stored
+	 * before versions were numbered, come first.
+	 */
+	function beyondCursor(cursor, higher) {
+		var number = cursor.get(versionNumberPath),
+			op = higher ? '$gt' : '$lt',
+			same = pathEquals(versionNumberPath, number === undefined ? null : number),
+			other = {};
+		same._id = {};
+		same._id[op] = cursor._id;
+		if( number === undefined || number === null ) {
+			if( ! higher ) return same;
+			other[versionNumberPath] = { $ne: null };
+		} else {
+			other[versionNumberPath] = {};
+			other[versionNumberPath][op] = number;
+			if( ! higher ) other = { $or: [other, pathEquals(versionNumberPath, null)] };
+		}
+		return { $or: [same, other] };
+	}
+
+	/*
+	 * Lists a page of the versions of a document.  options are the query
+	 * options of findShadows plus
+	 * + order {String} 'asc' (default) or 'desc' by version number
+	 * + limit {Number} the size of the page
+	 * + after, before {ObjectId} the version the page starts after or ends before
+	 * The callback receives { docs, total, next, previous } where next and
+	 * previous are the cursors of the adjacent pages, null if there is none.
+	 */
+	function listVersions(models, id, fields, options, callback) {
+		var filter = pathEquals(versionOfIdPath, id),
+			queryOptions = Object.assign({}, options),
+			desc = options.order === 'desc',
+			cursorId = options.after || options.before,
+			backwards = !! options.before,
+			page = { docs: [], total: 0, next: null, previous: null };
+		['order', 'after', 'before', 'deleted'].forEach(function(key) {
+			delete queryOptions[key];
+		});
+		if( cursorId && options.sort ) return callback(new errors.VersionerError('The before and after options cannot be combined with sort.'));
+		if( ! options.sort ) {
+			queryOptions.sort = {};
+			// a page ending before the cursor is read from the cursor on and turned around
+			queryOptions.sort[versionNumberPath] = queryOptions.sort._id = desc !== backwards ? -1 : 1;
+		}
+		// one more tells whether there is a next page
+		if( options.limit ) queryOptions.limit = options.limit + 1;
+
+		models.shadow.countDocuments(filter).session(options.session || null).exec(function(err, total) {
+			if( err ) return callback(err);
+			page.total = total;
+			if( ! cursorId ) return list();
+			models.shadow.findById(cursorId, versionNumberPath + ' ' + versionOfIdPath, sessionOptions(options.session), function(err, cursor) {
+				if( err ) return callback(err);
+				if( ! cursor || String(cursor[versionOfIdPath]) !== String(id) ) return callback(new errors.VersionNotFoundError(cursorId));
+				filter = { $and: [filter, beyondCursor(cursor, desc === backwards)] };
+				list();
+			});
+		});
+
+		function list() {
+			findShadows(models, filter, fields, queryOptions, function(err, docs) {
+				if( err ) return callback(err);
+				var more = !! options.limit && docs.length > options.limit;
+				if( more ) docs = docs.slice(0, options.limit);
+				if( backwards ) docs.reverse();
+				page.docs = docs;
+				if( docs.length ) {
+					if( backwards ? cursorId : more ) page.next = docs[docs.length - 1]._id;
+					if( backwards ? more : cursorId ) page.previous = docs[0]._id;
+				}
+				callback(null, page);
+			});
+		}
+	}
+
+	function removeVersion(models, versDoc, session, callback) {
+		callback = callback || function() {};
+		if( session ) versDoc.$session(session);
+		if( storage !== 'delta' ) return versDoc.remove(callback);
+		rebaseChildren(models, versDoc._id, session, function(err) {
+			if( err ) return callback(err);
+			versDoc.remove(callback);
+		});
+	}
+
+	/*
+	 * Retention
+	 *
+	 * Removes the versions of a document which are not kept by any rule of the policy:
+	 * + keepLast {Number} the newest keepLast versions are kept
+	 * + maxAge {Number} versions younger than maxAge milliseconds are kept
+	 * + keepActive {Boolean} the active version is kept (default true)
+	 * + keepDeleted {Boolean} versions with the delete flag set are kept (default true)
+	 *
+	 * The callback receives the ids of the removed versions.
+	 */
+	function pruneDocument(models, versionOfId, policy, session, callback) {
+		var model = models.original, filter = {}, fields = {};
+		if( policy.keepLast === undefined && policy.maxAge === undefined ) return callback(null, []);
+		filter[versionOfIdPath] = versionOfId;
+		fields[versionOfIdPath] = 1;
+		fields[versionSchedulePath] = 1;
+		if( deleteFlag ) fields[deleteFlag] = 1;
+		model.findById(versionOfId, versionIdPath, sessionOptions(session), function(err, original) {
+			if( err ) return callback(err);
+			models.shadow.find(filter, fields).sort(byNumberDesc).session(session).exec(function(err, versions) {
+				if( err ) return callback(err);
+				var activeId = original && original[versionIdPath] && original[versionIdPath].toString(),
+					now = Date.now(),
+					scheduled = [],
+					removed = [];
+				// versions still to be activated or reverted to by a schedule are always kept
+				versions.forEach(function(version) {
+					var state = version.get(versionSchedulePath + '.state'),
+						previousId = version.get(versionSchedulePath + '.previousId');
+					if( state === 'pending' ) scheduled.push(version._id.toString());
+					if( state === 'active' && previousId && version.get(versionSchedulePath + '.expireAt') ) scheduled.push(previousId.toString());
+				});
+				versions = versions.filter(function(version, i) {
+					if( scheduled.indexOf(version._id.toString()) !== -1 ) return false;
+					if( policy.keepLast !== undefined && i < policy.keepLast ) return false;
+					if( policy.maxAge !== undefined && now - version._id.getTimestamp().getTime() < policy.maxAge ) return false;
+					if( policy.keepActive !== false && version._id.toString() === activeId ) return false;
+					if( policy.keepDeleted !== false && deleteFlag && version[deleteFlag] ) return false;
+					return true;
+				});
+				eachSeries(versions, function(version, next) {
+					removeVersion(models, version, session, function(err) {
+						if( ! err ) removed.push(version._id);
+						next(err);
+					});
+				}, function(err) {
+					callback(err, removed);
+				});
+			});
+		});
+	}
+
+  //-------------------------------------------------------------------------
+  // Instance Methods
+  //
+
+  /**
+   * findVersions
+   *
+   * When you have an instance to a document, calling this instance method
+   * will return a list of document versions available for this document
+   * ordered by their version numbers.  fields and options are the same as
+   * for the static findVersions, only the versions are returned though.
+   *
+   * @param [fields]
+   * @param [options]
+   * @param {Function} [callback]
+   * @return {Promise|undefined}
+   */
+  schema.methods.findVersions = optional(2, function (fields, options, callback) {
+    var models = versioner(this.constructor);
+    listVersions(models, this._id, fields, options || {}, function (err, page) {
+      callback(err, page && page.docs);
+    });
+  });
+
+  //-------------------------------------------------------------------------
+  // Class Methods
+  //
+
+  /**
+   * findVersionById
+   *
+   * Returns a specific document version by Id
+   *
+   * @param {ObjectId} id   The Id of the document in the shadow schema
+   * @param [fields]
+   * @param [options]
+   * @param {Function} [callback]
+   * @return {Promise|undefined}
+   */
+  schema.statics.findVersionById = optional(3, function (id, fields, options, callback) {
+    var models = versioner(this);
+    findVersion(models, id, fields, options, callback);
+  });
+
+  /**
+   * findVersionByNumber
+   *
+   * Returns a specific document version by its version number
+   *
+   * @param {ObjectId} id       The Id of the document in the original schema
+   * @param {Number} number     The version number
+   * @param [fields]
+   * @param [options]
+   * @param {Function} [callback]
+   * @return {Promise|undefined}
+   */
+  schema.statics.findVersionByNumber = optional(4, function (id, number, fields, options, callback) {
+		var models = versioner(this), filter = {};
+		filter[versionOfIdPath] = id;
+		filter[versionNumberPath] = number;
+		findShadows(models, filter, fields, options, function(err, versions) {
+			if( err ) return callback(err);
+			callback(null, versions[0] || null);
+		});
+	});
+
+  /**
+   * findVersions
+   *
+   * Returns a collection of document versions that
+   * are linked as to the document with the passed in Id,
+   * ordered by their version numbers unless options.sort is given.
+   *
+   * The versions can be paged through with options.limit and the cursors
+   * options.after and options.before (the Id of a version), options.order
+   * 'desc' lists the newest versions first.  The result carries the total
+   * number of versions and the cursors of the next and previous pages.
+   * The versions of a deleted document are only listed with options.deleted
+   * set, its activeId is null.
+   *
+   * @param {ObjectId} id   The Id of the active document in the original schema
+   * @param [fields]    The projection of the versions
+   * @param [options]   order, limit, after, before, sort, deleted, session
+   * @param {Function} [callback]   receives {activeId, docs, total, next, previous}
+   * @return {Promise|undefined}
+   */
+  schema.statics.findVersions = optional(3, function (id, fields, options, callback) {
+    var models = versioner(this), model = models.original,
+      returnObj = {
+        activeId:null,
+        docs:[],
+        total:0,
+        next:null,
+        previous:null
+      };
+
+    options = options || {};
+    model.findById(id, versionIdPath, sessionOptions(options.session), function (err, activeDoc) {
+      if (err) {
+        callback(err);
+      } else if (activeDoc === null && !options.deleted) {
+        callback(err, returnObj);
+      } else {
+        returnObj.activeId = activeDoc && activeDoc[versionIdPath];
+        listVersions(models, activeDoc ? activeDoc._id : id, fields, options, function (err, page) {
+          if (err) {
+            callback(err);
+          } else {
+            callback(err, Object.assign(returnObj, page));
+          }
+        });
+      }
+    });
+  });
+
+  /**
+   * diffVersions
+   *
+   * Returns the field level changes needed to get from version A to
+   * version B, descending into nested objects and arrays:
+   *
+   *   { from: idA, to: idB, changes: [{ op: 'replace', path: ['title'], from: 'Old', to: 'New' }, ...] }
+   *
+   * With options.format set to 'patch' an RFC 6902 JSON Patch is returned instead.
+   *
+   * @param {ObjectId} versionIdA   The Id of the old version
+   * @param {ObjectId} versionIdB   The Id of the new version
+   * @param {Object} [options]      format: 'changes' (default) or 'patch'
+   * @param {Function} [callback]
+   * @return {Promise|undefined}
+   */
+  schema.statics.diffVersions = optional(3, function (versionIdA, versionIdB, options, callback) {
+		var models = versioner(this);
+		findVersion(models, versionIdA, null, null, function(err, versionA) {
+			if( err ) return callback(err);
+			if( ! versionA ) return callback(new errors.VersionNotFoundError(versionIdA));
+			findVersion(models, versionIdB, null, null, function(err, versionB) {
+				if( err ) return callback(err);
+				if( ! versionB ) return callback(new errors.VersionNotFoundError(versionIdB));
+				callback(null, diffResult(versionA._id, versionA, versionB._id, versionB, options));
+			});
+		});
+	});
+
+  /**
+   * diffActive
+   *
+   * Same as diffVersions with the active document of the version
+   * as the old state.
+   *
+   * @param {ObjectId} versionId    The Id of the version to compare the active document with
+   * @param {Object} [options]      format: 'changes' (default) or 'patch'
+   * @param {Function} [callback]
+   * @return {Promise|undefined}
+   */
+  schema.statics.diffActive = optional(2, function (versionId, options, callback) {
+		var models = versioner(this), model = models.original;
+		findVersion(models, versionId, null, null, function(err, version) {
+			if( err ) return callback(err);
+			if( ! version ) return callback(new errors.VersionNotFoundError(versionId));
+			model.findById(version[versionOfIdPath], function(err, active) {
+				if( err ) return callback(err);
+				if( ! active ) return callback(new errors.OriginalNotFoundError(version[versionOfIdPath]));
+				callback(null, diffResult(active[versionIdPath], active, version._id, version, options));
+			});
+		});
+	});
+
+  /**
+   * saveVersion
+   *
+   * NOTE: This function should be used to save all documents in place of
+   * the original schema's save() method.
+   *
+   * This function will first check to see if the document exists in
+   * the original schema and create it there if it does not.
+   *
+   * Then, using this document reference, also create a version and store
+   * it in the shadow collection linking it back to this reference.
+   *
+   * @param {Object} dataObj    The data to save
+   * @param {Object} [options]  meta: { author, comment } of the version, session: a session to join
+   * @param {Function} [callback]
+   * @return {Promise|undefined}
+   */
+  schema.statics.saveVersion = optional(2, function (dataObj, options, callback) {
+    var models = versioner(this), created, activated;
+		options = options || {};
+    transaction(models, options, function(session, callback) {
+      // 1) First look to see if this document exists
+      findVersion(models, dataObj.versionId, null, sessionOptions(session), function (err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          var versDoc = result;
+          created = versDoc === null;
+          activated = false;
+          // a new version is only pruned against once everything is written
+          if (created) callback = retainAfter(models, session, callback);
+          if (versDoc === null) {
+            // Document doesn't exist so create a new one
+            versDoc = new models.shadow(dataObj.data);
+          } else {
+            // Document does exist so copy data to it
+            for (var key in dataObj.data) {
+              versDoc[key] = dataObj.data[key];
+            }
+          }
+          versDoc.versionOfId = dataObj.versionOfId || null;
+          stampVersion(versDoc, 'save', options.meta);
+          // 2) Save this as a Version
+          storeVersion(models, versDoc, session, function (err, versSaved) {
+            if (err) {
+              callback(err);
+            } else {
+              var versDocObj = versSaved.toObject(),
+                model = models.original;
+              // 2) Lookup the Active version
+              model.findById(dataObj.versionOfId, null, sessionOptions(session), function (err, original) {
+                if (err) {
+                  callback(err);
+                } else {
+                  // 3) If the Active version doesn't exist, create a new object
+                  if (original === null) {
+                    original = new model();
+                    original[versionIdPath] = versSaved._id;
+                    markActive(versSaved);
+                    activated = true;
+                  }
+                  // 4) If the Active version is the Version we are editing, then update it
+                  if (original[versionIdPath].toString() == versSaved._id.toString()) {
+                    // 4a) Copy all of the properties from the Version to the Active document
+                    copyContent(versSaved, original);
+                    // 4b) Save the Active document with the newly updated props
+                    original.save(sessionOptions(session, {}), function (err, originalSaved) {
+                      if (err) {
+                        callback(err);
+                      } else if (versDocObj[versionOfIdPath] !== originalSaved._id) {
+                        // 5) If this was a new document save Version again with ref to Active document
+                        versSaved[versionOfIdPath] = originalSaved._id;
+                        storeVersion(models, versSaved, session, function (err, versSavedAgain) {
+                          callback(err, versSavedAgain);
+                        });
+                      } else {
+                        callback(null, versSaved);
+                      }
+                    });
+                  } else {
+                    callback(null, versSaved);
+                  }
+                }
+              });
+            }
+          });
+        }
+      });
+    }, function (err, version) {
+      if (!err) {
+        emitEvent(created ? 'versionCreated' : 'versionUpdated', version[versionOfIdPath], version._id, 'save', options.meta);
+        if (activated) emitEvent('versionActivated', version[versionOfIdPath], version._id, 'save', options.meta);
+      }
+      callback(err, version);
+    });
+  });
+
+  /**
+   * deleteVersion
+   *
+   * This function will delete a document version from the shadow
+   * collection provided it isn't linked as the active document.
+   *
+   * The deleted version is passed to the callback, a VersionNotFoundError
+   * if it does not exist and a VersionActiveError if it is the active
+   * version of its document.
+   *
+   * @param {ObjectId} id   The Id of the document version to delete
+   * @param {Object} [options]  session: a session to join
+   * @param {Function} [callback]
+   * @return {Promise|undefined}
+   */
+  schema.statics.deleteVersion = optional(2, function (id, options, callback) {
+    var models = versioner(this);
+    transaction(models, options, function(session, callback) {
+      var model = models.original,
+        filter = {};
+
+      // 1) Check to see if this Version is an Active document
+      filter[versionIdPath] = id;
+      model.findOne(filter, null, sessionOptions(session), function (err, result) {
+        if (err) {
+          callback(err);
+        } else if (result === null) {
+          // 2a) Document not found so it's not Active.  Safe to delete.
+          findVersion(models, id, null, sessionOptions(session), function (err, version) {
+            if (err) {
+              callback(err);
+            } else if (version === null) {
+              callback(new errors.VersionNotFoundError(id));
+            } else {
+              removeVersion(models, version, session, function (err) {
+                callback(err, err ? null : version);
+              });
+            }
+          });
+        } else {
+          // 2b) Document found so it must be Active and therefore not safe to delete.
+          callback(new errors.VersionActiveError(id));
+        }
+      });
+    }, function (err, deleted) {
+      if (!err) emitEvent('versionDeleted', deleted[versionOfIdPath], id, 'delete', options && options.meta);
+      callback(err, deleted);
+    });
+  });
+
+  /**
+   * pruneVersions
+   *
+   * Applies a retention policy to the history of all documents having at
+   * least one version matching the filter, e.g. from a cron job.  The policy
+   * defaults to the retention option of the plugin, see pruneDocument for
+   * its rules.  Each document is pruned in a transaction of its own.
+   *
+   * The result reports the number of documents processed and the ids of
+   * the removed versions:
+   *
+   *   { documents: 2, removed: [ObjectId, ...] }
+   *
+   * @param {Object} [filter]   Query on the shadow collection, defaults to all versions
+   * @param {Object} [policy]   { keepLast, maxAge, keepActive, keepDeleted }
+   * @param {Function} [callback]
+   * @return {Promise|undefined}
+   */
+  schema.statics.pruneVersions = optional(2, function (filter, policy, callback) {
+		var models = versioner(this), report = { documents: 0, removed: [] },
+			unsupported = unsupportedFilter(filter);
+		policy = policy || retention;
+		if( ! policy ) return callback(new errors.VersionerError('No retention policy given.', 'NOT_CONFIGURED'));
+		if( unsupported ) return callback(unsupported);
+		eachVersionedBatch(models, filter || {}, 100, function(ids, callback) {
+			eachSeries(ids, function(id, next) {
+				transaction(models, null, function(session, callback) {
+					pruneDocument(models, id, policy, session, callback);
+				}, function(err, removed) {
+					if( err ) return next(err);
+					report.documents++;
+					report.removed = report.removed.concat(removed);
+					next();
+				});
+			}, callback);
+		}, function(err) {
+			if( err ) return callback(err);
+			callback(null, report);
+		});
+	});
+
+  /**
+   * activateVersion
+   *
+   * This function will set a document version as the active version
+   * by cloning it's data to the original collection and updating the
+   * active version pointer.  With a workflow configured the version has
+   * to be in one of its approved states.
+   *
+   * @param {ObjectId} id   The Id of the version document to activate
+   * @param {Object} [options]  session: a session to join
+   * @param {Function} [callback]
+   * @return {Promise|undefined}
+   */
+  schema.statics.activateVersion = optional(2, function (id, options, callback) {
+    var models = versioner(this);
+    transaction(models, options, function(session, callback) {
+      activate(models, id, true, session, callback);
+    }, function (err, activeSaved) {
+      if (!err) emitEvent('versionActivated', activeSaved._id, id, 'activate', options && options.meta);
+      callback(err, activeSaved);
+    });
+  });
+
+  /**
+   * scheduleVersion
+   *
+   * Schedules a document version to be activated at activateAt and, if
+   * expireAt is given, the previously active version to be activated again
+   * at expireAt.  The schedule is carried out by processScheduledActivations.
+   * Without activateAt a pending schedule is cancelled.  Once the version
+   * has been activated by its schedule only expireAt can be changed.
+   *
+   * @param {ObjectId} id   The Id of the version document to schedule
+   * @param {Date} [activateAt]
+   * @param {Date} [expireAt]
+   * @param {Object} [options]  session: a session to join
+   * @param {Function} [callback]
+   * @return {Promise|undefined}
+   */
+  schema.statics.scheduleVersion = optional(4, function (id, activateAt, expireAt, options, callback) {
+		var models = versioner(this), session = options && options.session;
+		if( activateAt && expireAt && new Date(expireAt) <= new Date(activateAt) ) {
+			return callback(new errors.VersionerError('expireAt must be later than activateAt.'));
+		}
+		findVersion(models, id, null, options, function(err, version) {
+			if( err ) return callback(err);
+			if( ! version ) return callback(new errors.VersionNotFoundError(id));
+			var update = {}, schedule = {};
+			if( version.get(versionSchedulePath + '.state') === 'active' ) {
+				if( expireAt ) update.$set = pathEquals(versionSchedulePath + '.expireAt', new Date(expireAt));
+				else update.$unset = pathEquals(versionSchedulePath + '.expireAt', 1);
+			} else if( activateAt ) {
+				schedule.activateAt = new Date(activateAt);
+				if( expireAt ) schedule.expireAt = new Date(expireAt);
+				schedule.state = 'pending';
+				update.$set = pathEquals(versionSchedulePath, schedule);
+			} else {
+				update.$unset = pathEquals(versionSchedulePath, 1);
+			}
+			models.shadow.updateOne({ _id: id }, update, sessionOptions(session), function(err) {
+				if( err ) return callback(err);
+				findVersion(models, id, null, options, callback);
+			});
+		});
+	});
+
+  /**
+   * processScheduledActivations
+   *
+   * Activates the versions whose activateAt has passed and reverts the ones
+   * whose expireAt has passed, in that order.  Every version is processed in
+   * a transaction of its own (with the transactions option set) and only
+   * once, also with several workers running at the same time.  A schedule
+   * fails if its version or document has been deleted.
+   *
+   * @param {Object} [options]  now: the time to compare with (default: now), session: a session to join
+   * @param {Function} [callback]   receives {activated, expired, failed}, each a list of version Ids
+   * @return {Promise|undefined}
+   */
+  schema.statics.processScheduledActivations = optional(1, function (options, callback) {
+		var models = versioner(this), now = options && options.now ? new Date(options.now) : new Date(),
+			session = options && options.session,
+			report = { activated: [], expired: [], failed: [] };
+
+		function due(state, timePath, step, callback) {
+			var filter = pathEquals(versionSchedulePath + '.state', state),
+				sort = pathEquals(versionSchedulePath + '.' + timePath, 1);
+			filter[versionSchedulePath + '.' + timePath] = { $lte: now };
+			models.shadow.find(filter, '_id').sort(sort).session(session).exec(function(err, versions) {
+				if( err ) return callback(err);
+				eachSeries(versions, function(version, next) {
+					var activated;
+					transaction(models, options, function(session, callback) {
+						step(models, version._id, session, function(err, outcome, activeSaved) {
+							activated = activeSaved;
+							callback(err, outcome);
+						});
+					}, function(err, outcome) {
+						if( outcome ) report[outcome].push(version._id);
+						if( ! err && activated ) emitEvent('versionActivated', activated._id, activated[versionIdPath], 'schedule');
+						next(err);
+					});
+				}, callback);
+			});
+		}
+
+		due('pending', 'activateAt', startSchedule, function(err) {
+			if( err ) return callback(err);
+			due('active', 'expireAt', endSchedule, function(err) {
+				callback(err, report);
+			});
+		});
+	});
+
+  /**
+   * pollScheduledActivations
+   *
+   * Runs processScheduledActivations right away and then every interval
+   * milliseconds after the previous run has finished, until stop() is
+   * called on the returned handle.  Failed runs are passed to onError or
+   * reported as pollError events, see versionEvents.
+   *
+   * @param {Object} [options]  interval (default 60000), onError: function (err)
+   * @return {Object} {stop: Function}
+   */
+  schema.statics.pollScheduledActivations = function (options) {
+		var model = this, timer, stopped = false,
+			interval = options && options.interval || 60000,
+			onError = options && options.onError || function(err) {
+				emitEvent('pollError', null, null, null, null, err);
+			};
+		(function run() {
+			model.processScheduledActivations(function(err) {
+				if( err ) onError(err);
+				if( ! stopped ) timer = setTimeout(run, interval);
+			});
+		})();
+		return {
+			stop: function() {
+				stopped = true;
+				clearTimeout(timer);
+			}
+		};
+	};
+
+  /**
+   * upsertVersion
+   *
+   * NOTE: This function should be used to save all documents in place of
+   * the original schema's save() method.
+   *
+   * This function is a lightweight version of saveVersion to be used in
+   * append-only situations when the application logic does not cater for
+   * modifying not-active i.e. previous versions.
+   *
+   * If dataObj's _id is null i.e. undefined it creates a new document
+   * if _id exists it uses findAndModify to ensure that the active version
+   * gets modified. An attempt to modify a not-active version of a document
+   * will result in an error.
+   * In both cases (save or findAndModify) a new shadow document is created.
+	 *
+	 * The optional query object has been added to support atomicity in create
+	 * mode, so when no object id is present. An example use case is to compute
+	 * a check sum of the relevant fields of the document which is the used
+	 * in the findOneAndModify call which replaced the update().
+	 *
+	 * Without a transaction the shadow document is removed again if the
+	 * original could not be written.
+	 *
+	 * With merge set (option of the plugin or of the call) a save based on a
+	 * revision which is not active anymore is three-way merged with the
+	 * changes saved in the meantime.  It only fails with a MergeConflictError
+	 * if both changed the same fields.
+   *
+   * @param {Object} dataObj    The data to save
+	 * @param {Object} [query]    Optional query object
+	 * @param {Object} [opts]     meta: { author, comment } of the version, merge: see above, session: a session to join
+   * @param {Function} [callback]
+   * @return {Promise|undefined}
+   */
+  schema.statics.upsertVersion = optional(3, function (dataObj, query, opts, callback) {
+		var models = versioner(this), stored,
+			revision = dataObj[versionIdPath];
+		opts = opts || {};
+		transaction(models, opts, function(session, callback) {
+      var model = models.original,
+				options = sessionOptions(session, { skipVersioning: true });
+
+      function create_shadow(originalObj, callback) {
+				var input = {}, versDoc;
+				if( originalObj instanceof model ) {
+					input = originalObj.toObject();
+				} else {
+					Object.keys(originalObj).forEach(function(key) {
+						input[key] = originalObj[key];
+					});
+				}
+				delete input._id;
+        var versDoc = new models.shadow(input);
+				versDoc[versionOfIdPath] = originalObj._id.toString();
+				stampVersion(versDoc, 'save', opts.meta);
+				markActive(versDoc);
+				storeVersion(models, versDoc, session, function(err, versSaved) {
+					if( err ) return callback(err);
+					stored = versSaved;
+					callback(undefined, versSaved);
+				});
+			}
+
+			// with skipUnchanged no version is stored if the versioned data equals the active version
+			function create_changed_shadow(originalObj, callback) {
+				if( ! skipUnchanged || originalObj.isNew ) return create_shadow(originalObj, callback);
+				unchangedVersion(models, originalObj._id, versionContent(originalObj), ! ( originalObj instanceof model ), session, function(err, unchanged) {
+					if( err ) return callback(err);
+					if( unchanged ) return callback(undefined, null);
+					create_shadow(originalObj, callback);
+				});
+			}
+
+			// a transaction is rolled back as a whole
+			function remove_shadow(versSaved) {
+				if( ! session && versSaved ) removeVersion(models, versSaved);
+			}
+
+			if( ! dataObj._id ) {
+				// 1) Create a new document
+				var original = new model(dataObj);
+				// 2) Create a new shadow object
+				create_shadow(original, function(err, versSaved) {
+					if( err ) return callback(err);
+					// 3) Pass the shadow version to the original document and create it
+					original[versionIdPath] = versSaved._id.toString();
+					model.findOneAndUpdate( query || { _id: original._id }, { $setOnInsert: original }, sessionOptions(session, { upsert: true, new: false, skipVersioning: true }), function(err, doc) {
+						if( err ) {
+							remove_shadow(versSaved);
+							return callback(err);
+						}
+						// With new = false above doc will be null if a new document was inserted.
+						// If doc is not null the insert did not take place because of the $setOnInsert above,
+						// so the version document should be removed again.
+						if( doc ) {
+							remove_shadow(versSaved);
+							return callback(new errors.DuplicationError(doc._id));
+						}
+						retainVersions(models, original._id, session, function(err) {
+							callback(err, original);
+						});
+					});
+				});
+			} else {
+				// Updating an existing document
+				// Or if isNew, creating a brand new which also does not require a versionId (since there is none yet)
+				if( ! dataObj.isNew && ! append_only && ! revision ) return callback(new errors.RevisionRequiredError());
+				// revision is the one the data is based on, removed is set when retrying with the result of a merge
+				(function update_original(dataObj, revision, removed) {
+					// 1) Create a new shadow object (versSaved is null if it has been skipped)
+					stored = null;
+					create_changed_shadow(dataObj, function(err, versSaved) {
+						if( err ) return callback(err);
+						var query = { _id: dataObj._id.toString() }, update;
+						if( ! dataObj.isNew && ! append_only ) query[versionIdPath] = revision;
+						if( dataObj.isNew ) options.upsert = true;
+						// the data of the caller stays untouched, a retried transaction starts from it again
+						update = dataObj instanceof model ? dataObj.toObject() : Object.assign({}, dataObj); // findOneAndUpdate() won't work with a mongoose object
+						if( versSaved ) update[versionIdPath] = versSaved._id.toString();
+						if( removed && removed.length ) {
+							update = Object.assign({ $unset: {} }, update);
+							removed.forEach(function(key) {
+								update.$unset[key] = 1;
+							});
+						}
+						// 2) Update the original object (if the provided revision matches the actual revision)
+						model.findOneAndUpdate(query, update, options, function(err, origSaved) {
+							if( err ) {
+								remove_shadow(versSaved);
+								return callback(err);
+							}
+							if( origSaved ) {
+								return retainVersions(models, versSaved && origSaved._id, session, function(err) {
+									callback(err, origSaved);
+								});
+							}
+							if( removed || ! ( opts.merge !== undefined ? opts.merge : mergeWanted ) ) {
+								remove_shadow(versSaved);
+								return staleRevision(model, query._id, query[versionIdPath], session, callback);
+							}
+							// 3) Merge with the changes saved in the meantime and try again on top of them
+							function merge_and_retry(err) {
+								if( err ) return callback(err);
+								mergeStale(models, query._id, query[versionIdPath], versionContent(dataObj), ! ( dataObj instanceof model ), session, function(err, merged) {
+									if( err ) return callback(err);
+									merged.content._id = query._id;
+									update_original(merged.content, merged.revision, merged.removed);
+								});
+							}
+							if( ! versSaved ) return merge_and_retry();
+							removeVersion(models, versSaved, session, merge_and_retry);
+						});
+					});
+				})(dataObj, revision);
+			}
+		}, function(err, origSaved) {
+			if( err ) {
+				emitConflict(err, dataObj._id, 'save', opts.meta);
+			} else if( stored ) {
+				emitEvent('versionCreated', origSaved._id, stored._id, 'save', opts.meta);
+				emitEvent('versionActivated', origSaved._id, stored._id, 'save', opts.meta);
+			}
+			callback(err, origSaved);
+		});
+	});
+
+  /**
+   * deleteOriginal
+   *
+   * This function can be used to delete a document but leave the shadow versions intact
+   * optionally setting a delete flag on the active version (i.e. create a new one in append_only mode)
+   *
+   * @param {Object} queryObj   (including versionIdPath unless append_only)
+   * @param {Object} [dataObj]  optional data object to set some attributes on the (newly created) shadow, like modified_at, by...
+   * @param {Object} [options]  meta: { author, comment } of the deletion, session: a session to join
+   * @param {Function} [callback]
+   * @return {Promise|undefined}
+   */
+  schema.statics.deleteOriginal = optional(3, function (queryObj, dataObj, options, callback) {
+		var models = versioner(this), deletedId;
+		options = options || {};
+		transaction(models, options, function(session, callback) {
+      var model = models.original;
+			if( ! append_only && ! queryObj[versionIdPath] ) return callback(new errors.RevisionRequiredError());
+			// 1) Retrieve the original
+			model.find(queryObj, null, sessionOptions(session), function(err, origs) {
+				if( err ) return callback(err);
+				if( ! origs || ! origs.length ) {
+					if( queryObj._id ) return staleRevision(model, queryObj._id, queryObj[versionIdPath], session, callback);
+					if( queryObj[versionIdPath] ) return callback(new errors.VersionConflictError(queryObj[versionIdPath]));
+					return callback(new errors.OriginalNotFoundError());
+				}
+				if( origs.length > 1 ) return callback(new errors.VersionerError('Cannot delete more than one document.', 'AMBIGUOUS_QUERY'));
+				var origSaved = origs[0],
+					origObj = origSaved.toObject();
+				origObj[versionOfIdPath] = origObj._id.toString();
+				delete origObj._id;
+				delete origObj[versionIdPath];
+				if( schema.options.versionKey ) delete origObj[schema.options.versionKey];
+				if( deleteFlag ) origObj[deleteFlag] = true;
+				if( dataObj ) {
+					Object.keys(dataObj).forEach(function(key) {
+						origObj[key] = dataObj[key];
+					});
+				}
+				// 2) Create the new version i.e. update the existing one
+				if( append_only ) {
+        	var versDoc = new ( shadowFor(models, origSaved) )(origObj);
+					stampVersion(versDoc, 'delete', options.meta);
+					storeVersion(models, versDoc, session, function(err, versSaved) {
+						if( err ) return callback(err);
+						// 3) Delete original
+						model.deleteOne({ _id: origSaved._id.toString() }).setOptions({ skipVersioning: true }).session(session).exec(function(err) {
+							if( err ) {
+								if( ! session ) removeVersion(models, versSaved);
+								return callback(err);
+							}
+							deletedId = versSaved._id;
+							retainVersions(models, origSaved._id, session, function(err) {
+								callback(err, origSaved);
+							});
+						});
+					});
+				} else if( deleteFlag ) {
+					var query = { _id: queryObj[versionIdPath] },
+						data = {};
+					data[deleteFlag] = true;
+					data[versionMetaPath + '.updatedAt'] = new Date();
+					data[versionMetaPath + '.operation'] = 'delete';
+					// the author and comment of the version itself are kept
+					data[versionMetaPath + '.deletion'] = { at: data[versionMetaPath + '.updatedAt'] };
+					if( options.meta && options.meta.author !== undefined ) data[versionMetaPath + '.deletion'].author = options.meta.author;
+					if( options.meta && options.meta.comment !== undefined ) data[versionMetaPath + '.deletion'].comment = options.meta.comment;
+					models.shadow.findOneAndUpdate(query, data, sessionOptions(session), function(err, savedVersion) {
+						if( err ) return callback(err);
+						if( ! savedVersion ) return callback(new errors.InconsistentHistoryError());
+						// 3) Delete original
+						model.deleteOne({ _id: origSaved._id.toString() }).setOptions({ skipVersioning: true }).session(session).exec(function(err) {
+							if( err ) {
+								// without a transaction take the delete flag back
+								if( ! session ) {
+									data = { $unset: {} };
+									data.$unset[deleteFlag] = 1;
+									data.$unset[versionMetaPath + '.deletion'] = 1;
+									models.shadow.updateOne(query, data, function() {});
+								}
+								return callback(err);
+							}
+							deletedId = savedVersion._id;
+							callback(null, origSaved);
+						});
+					});
+				} else {
+					// Nothing to do
+					callback(new errors.VersionerError('Do not know what to do, both append_only and delete_flag are not set.', 'NOT_CONFIGURED'));
+				}
+			});
+		}, function(err, origSaved) {
+			if( err ) emitConflict(err, queryObj._id, 'delete', options.meta);
+			else emitEvent('originalDeleted', origSaved._id, deletedId, 'delete', options.meta);
+			callback(err, origSaved);
+		});
+	});
+
+  /**
+   * restoreOriginal
+   *
+   * Recreates a document deleted through deleteOriginal or the remove hook
+   * from its latest version or the given one.  The data is stored as a new
+   * version (operation 'restore', without the delete flag) which becomes
+   * the active version of the recreated document.
+   *
+   * @param {ObjectId} id           The Id of the deleted document
+   * @param {ObjectId} [versionId]  The Id of the version to restore, defaults to the latest one
+   * @param {Object} [options]      meta: { author, comment } of the restore, session: a session to join
+   * @param {Function} [callback]
+   * @return {Promise|undefined}
+   */
+  schema.statics.restoreOriginal = optional(3, function (id, versionId, options, callback) {
+		var models = versioner(this);
+		options = options || {};
+		transaction(models, options, function(session, callback) {
+			var model, filter = {};
+			filter[versionOfIdPath] = id;
+			if( versionId ) filter._id = versionId;
+			// 1) Find the version to restore
+			findShadows(models, filter, null, sessionOptions(session, { sort: byNumberDesc, limit: 1 }), function(err, versions) {
+				if( err ) return callback(err);
+				if( ! versions.length ) return callback(new errors.VersionNotFoundError(versionId || id));
+				// 2) Store its data as a new version of the same type
+				var versDoc = new versions[0].constructor(versionContent(versions[0]));
+				model = originalFor(models, versions[0]);
+				versDoc[versionOfIdPath] = id;
+				stampVersion(versDoc, 'restore', options.meta);
+				markActive(versDoc);
+				storeVersion(models, versDoc, session, function(err, versSaved) {
+					if( err ) return callback(err);
+					// 3) Recreate the original unless it exists
+					var original = new model(versionContent(versSaved));
+					original._id = id;
+					original[versionIdPath] = versSaved._id;
+					model.findOneAndUpdate({ _id: id }, { $setOnInsert: original }, sessionOptions(session, { upsert: true, new: false, skipVersioning: true }), function(err, doc) {
+						if( err || doc ) {
+							if( ! session ) removeVersion(models, versSaved);
+							return callback(err || new errors.DuplicationError(id));
+						}
+						retainVersions(models, id, session, function(err) {
+							if( err ) return callback(err);
+							model.findById(id, null, sessionOptions(session), callback);
+						});
+					});
+				});
+			});
+		}, function(err, original) {
+			if( ! err ) {
+				emitEvent('versionCreated', id, original[versionIdPath], 'restore', options.meta);
+				emitEvent('originalRestored', id, original[versionIdPath], 'restore', options.meta);
+			}
+			callback(err, original);
+		});
+	});
+
+  /**
+   * findDeleted
+   *
+   * Returns the latest version of every deleted document, i.e. of every
+   * document whose latest version has the delete flag set or was created
+   * by a deletion.  The filter is applied to these latest versions, with
+   * storage 'delta' it can only use the paths added by the plugin.
+   *
+   * @param {Object} [filter]   Query on the latest versions
+   * @param {Object} [options]
+   * @param {Function} [callback]
+   * @return {Promise|undefined}
+   */
+  schema.statics.findDeleted = optional(2, function (filter, options, callback) {
+		var models = versioner(this), deleted = { $or: [] }, notLinked = {},
+			unsupported = unsupportedFilter(filter);
+		if( unsupported ) return callback(unsupported);
+		if( deleteFlag ) deleted.$or.push(pathEquals(deleteFlag, true));
+		deleted.$or.push(pathEquals(versionMetaPath + '.operation', 'delete'));
+		notLinked[versionOfIdPath] = { $ne: null };
+		models.shadow.aggregate([
+			{ $match: notLinked },
+			{ $sort: byNumberDesc },
+			{ $group: { _id: '$' + versionOfIdPath, latest: { $first: '$$ROOT' } } },
+			{ $replaceRoot: { newRoot: '$latest' } },
+			{ $match: { $and: [deleted, filter || {}] } }
+		], function(err, latest) {
+			if( err ) return callback(err);
+			findShadows(models, { _id: { $in: latest.map(function(version) { return version._id; }) } }, null, listOptions(options), callback);
+		});
+	});
+
+  /**
+   * findByIdAsOf
+   *
+   * Returns the version of a document which was active at the given date,
+   * also for documents deleted since.  null is returned if the document did
+   * not exist or was deleted at that time.
+   *
+   * @param {ObjectId} id     The Id of the document in the original schema
+   * @param {Date} date
+   * @param [fields]
+   * @param [options]
+   * @param {Function} [callback]
+   * @return {Promise|undefined}
+   */
+  schema.statics.findByIdAsOf = optional(4, function (id, date, fields, options, callback) {
+		var models = versioner(this);
+		versionAsOf(models, id, new Date(date), options && options.session, function(err, versionId) {
+			if( err || ! versionId ) return callback(err, null);
+			findVersion(models, versionId, fields, options, callback);
+		});
+	});
+
+  /**
+   * findAsOf
+   *
+   * Returns the versions which were active at the given date and match the
+   * filter, one per document, including documents deleted since.  With
+   * storage 'delta' the filter can only use the paths added by the plugin.
+   *
+   * @param {Object} filter   Query on the shadow collection
+   * @param {Date} date
+   * @param [fields]
+   * @param [options]
+   * @param {Function} [callback]
+   * @return {Promise|undefined}
+   */
+  schema.statics.findAsOf = optional(4, function (filter, date, fields, options, callback) {
+		var models = versioner(this), session = options && options.session, linked = {},
+			unsupported = unsupportedFilter(filter);
+		if( unsupported ) return callback(unsupported);
+		date = new Date(date);
+		linked[versionOfIdPath] = { $ne: null };
+		// 1) Group the matching versions by document
+		models.shadow.aggregate([
+			{ $match: models.shadow.find({ $and: [filter || {}, linked] }).cast(models.shadow) },
+			{ $group: { _id: '$' + versionOfIdPath, matching: { $push: '$_id' } } },
+			// 2) Find the version of each of them which was active at that time
+			{ $lookup: { from: models.shadow.collection.collectionName, localField: '_id', foreignField: versionOfIdPath, as: 'version' } },
+			{ $unwind: '$version' },
+			{ $project: { documentId: '$_id', matching: 1, versionId: '$version._id', meta: '$version.' + versionMetaPath } }
+		].concat(asOfStages(date), [
+			// 3) Keep the documents whose active version is one of the matching ones
+			{ $match: { $expr: { $in: ['$versionId', '$matching'] } } },
+			{ $project: { versionId: 1 } }
+		])).allowDiskUse(true).session(session).exec(function(err, active) {
+			if( err ) return callback(err);
+			findShadows(models, { _id: { $in: active.map(function(doc) { return doc.versionId; }) } }, fields, options, callback);
+		});
+	});
+
+  /**
+   * populateAsOf
+   *
+   * Populates references of versions to other versioned models with the
+   * versions of the referenced documents which were active when the
+   * referencing version was written (its createdAt), or at
+   * options.date.  A reference to a document which did not exist at that
+   * time is populated with null.  The model of a path is taken from its ref
+   * unless options.model is given.
+   *
+   * The versions themselves are left alone, a path of a document only
+   * holds values of its own schema type.  Plain objects of them with the
+   * populated paths are passed on instead.
+   *
+   * @param {Object|Array} versions   A version or a list of versions, e.g. as returned by findVersions
+   * @param {String|Array} paths      The paths to populate, e.g. 'author editors'
+   * @param {Object} [options]  date: the time to populate as of, select: the fields of the populated versions, model, session
+   * @param {Function} [callback]   receives the populated versions as plain objects, a list for a list
+   * @return {Promise|undefined}
+   */
+  schema.statics.populateAsOf = optional(3, function (versions, paths, options, callback) {
+		var models = versioner(this), refModels = {}, found = {}, invalid, populated;
+		options = options || {};
+		paths = typeof paths === 'string' ? paths.split(/\s+/).filter(Boolean) : paths || [];
+		// 1) Find the versioned model each path refers to
+		paths.forEach(function(path) {
+			var schemaType = models.shadow.schema.path(path),
+				ref = options.model || schemaType && ( schemaType.options.ref || schemaType.caster && schemaType.caster.options && schemaType.caster.options.ref );
+			if( typeof ref === 'string' ) ref = models.original.db.model(ref);
+			if( ! ref || typeof ref.findByIdAsOf !== 'function' ) invalid = invalid || path;
+			refModels[path] = ref;
+		});
+		if( invalid ) return callback(new errors.VersionerError('The path ' + invalid + ' does not refer to a versioned model.', 'NOT_VERSIONED'));
+		populated = ( Array.isArray(versions) ? versions : [versions] ).map(function(version) {
+			return version && typeof version.toObject === 'function' ? version.toObject() : version;
+		});
+		// 2) Replace the Ids with the versions active at the time, each looked up once
+		eachSeries(populated.filter(Boolean), function(version, next) {
+			// not updatedAt, it also moves when the version is flagged as deleted
+			var date = options.date ? new Date(options.date) : getPath(version, versionMetaPath + '.createdAt') || version._id.getTimestamp();
+			eachSeries(paths, function(path, next) {
+				var value = getPath(version, path),
+					many = Array.isArray(value),
+					ids = many ? value : [value],
+					refVersions = [];
+				eachSeries(ids, function(id, next) {
+					var key = refModels[path].modelName + ':' + id + ':' + new Date(date).getTime();
+					if( ! id || key in found ) {
+						refVersions.push(id ? found[key] : id);
+						return next();
+					}
+					refModels[path].findByIdAsOf(id, date, options.select, { session: options.session }, function(err, refVersion) {
+						found[key] = refVersion;
+						refVersions.push(refVersion);
+						next(err);
+					});
+				}, function(err) {
+					if( err ) return next(err);
+					setPath(version, path, many ? refVersions : refVersions[0]);
+					next();
+				});
+			}, next);
+		}, function(err) {
+			if( err ) return callback(err);
+			callback(null, Array.isArray(versions) ? populated : populated[0]);
+		});
+	});
 
   /**
-   * saveVersion
-   *
-   * NOTE: This function should be used to save all documents in place of
-   * the original schema's save() method.
-   *
-   * This function will first check to see if the document exists in
-   * the original schema and create it there if it does not.
+   * transitionVersion
    *
-   * Then, using this document reference, also create a version and store
-   * it in the shadow collection linking it back to this reference.
+   * Moves a document version to another state of the workflow if the
+   * workflow allows the transition from its current state.  The transition
+   * is recorded in the version's metadata.
    *
-   * @param {Object} dataObj    The data to save
-   * @param {Function} callback
+   * @param {ObjectId} id   The Id of the version document
+   * @param {String} toState
+   * @param {Object} [meta]   author and comment of the transition
+   * @param {Object} [options]  session: a session to join
+   * @param {Function} [callback]
+   * @return {Promise|undefined}
    */
-  schema.statics.saveVersion = function (dataObj, callback) {
-
-    // 1) First look to see if this document exists
-    shadowModel.findById(dataObj.versionId, function (err, result) {
-      if (err) {
-        callback(err);
-      } else {
-        var versDoc = result;
-        if (versDoc === null) {
-          // Document doesn't exist so create a new one
-          versDoc = new shadowModel(dataObj.data);
-        } else {
-          // Document does exist so copy data to it
-          for (var key in dataObj.data) {
-            versDoc[key] = dataObj.data[key];
-          }
-        }
-        versDoc.versionOfId = dataObj.versionOfId || null;
-        // 2) Save this as a Version
-        versDoc.save(function (err, versSaved) {
-          if (err) {
-            callback(err);
-          } else {
-            var versDocObj = versSaved.toObject(),
-              model = mongoose.model(modelName);
-            // 2) Lookup the Active version
-            model.findById(dataObj.versionOfId, function (err, original) {
-              if (err) {
-                callback(err);
-              } else {
-                // 3) If the Active version doesn't exist, create a new object
-                if (original === null) {
-                  original = new model();
-                  original[versionIdPath] = versSaved._id;
-                }
-                // 4) If the Active version is the Version we are editing, then update it
-                if (original[versionIdPath].toString() == versSaved._id.toString()) {
-                  // 4a) Copy all of the properties from the Version to the Active document
-                  var versDocObj = versSaved.toObject();
-                  for (var key in versDocObj) {
-                    if (key !== '_id' && key !== versionOfIdPath && key !== schema.options.versionKey) {
-                      original[key] = versDocObj[key];
-                    }
-                  }
-                  // 4b) Save the Active document with the newly updated props
-                  original.save(function (err, originalSaved) {
-                    if (err) {
-                      callback(err);
-                    } else if (versDocObj[versionOfIdPath] !== originalSaved._id) {
-                      // 5) If this was a new document save Version again with ref to Active document
-                      versSaved[versionOfIdPath] = originalSaved._id;
-                      versSaved.save(function (err, versSavedAgain) {
-                        callback(err, versSavedAgain);
-                      });
-                    } else {
-                      callback(null, versSaved);
-                    }
-                  });
-                } else {
-                  callback(null, versSaved);
-                }
-              }
-            });
-          }
-        });
-      }
-    });
-  };
+  schema.statics.transitionVersion = optional(4, function (id, toState, meta, options, callback) {
+		var models = versioner(this);
+		if( ! workflow ) return callback(new errors.VersionerError('No workflow configured.', 'NOT_CONFIGURED'));
+		meta = meta || {};
+		transaction(models, options, function(session, callback) {
+			(function transition() {
+				findVersion(models, id, null, sessionOptions(session), function(err, version) {
+					if( err ) return callback(err);
+					if( ! version ) return callback(new errors.VersionNotFoundError(id));
+					var from = stateOf(version), filter = { _id: id }, update;
+					if( ( workflow.transitions[from] || [] ).indexOf(toState) === -1 ) {
+						return callback(new errors.InvalidTransitionError(from, toState));
+					}
+					// only move it if nobody else has moved it in the meantime
+					filter[versionStatePath] = version.get(versionStatePath) || null;
+					update = {
+						$set: pathEquals(versionStatePath, toState),
+						$push: pathEquals(versionMetaPath + '.transitions', { from: from, to: toState, at: new Date(), author: meta.author, comment: meta.comment })
+					};
+					models.shadow.updateOne(filter, update, sessionOptions(session), function(err, res) {
+						if( err ) return callback(err);
+						if( ! ( res.matchedCount !== undefined ? res.matchedCount : res.n ) ) return transition();
+						findVersion(models, id, null, sessionOptions(session), callback);
+					});
+				});
+			})();
+		}, callback);
+	});
 
   /**
-   * deleteVersion
+   * findLatestDrafts
    *
-   * This function will delete a document version from the shadow
-   * collection provided it isn't linked as the active document.
+   * Returns the newest version in the initial state of the workflow (or in
+   * options.state) of every document having one.  With storage 'delta' the
+   * filter can only use the paths added by the plugin.
    *
-   * An object will be passed to the callback function with a
-   * 'success' property with the value true if it deleted the
-   * version and false if it did not.
-   *
-   * @param {ObjectId} id   The Id of the document version to delete
-   * @param {Function} callback
+   * @param {Object} [filter]   Query on the shadow collection
+   * @param {Object} [options]  state: the workflow state to look for
+   * @param {Function} [callback]
+   * @return {Promise|undefined}
    */
-  schema.statics.deleteVersion = function (id, callback) {
-    var model = mongoose.model(modelName),
-      filter = {};
-
-    // 1) Check to see if this Version is an Active document
-    filter[versionIdPath] = id;
-    model.findOne(filter, function (err, result) {
-      if (err) {
-        callback(err);
-      } else if (result === null) {
-        // 2a) Document not found so it's not Active.  Safe to delete.
-        shadowModel.findById(id, function (err, version) {
-          if (err) {
-            callback(err);
-          } else if (version === null) {
-            callback(null, {'success':false});
-          } else {
-            version.remove(function (err, version) {
-              if (err) {
-                callback(err);
-              } else {
-                callback(null, {'success':true});
-              }
-            });
-          }
-        });
-      } else {
-        // 2b) Document found so it must be Active and therefore not safe to delete.
-        callback(null, {'success':false});
-      }
-    });
-  };
+  schema.statics.findLatestDrafts = optional(2, function (filter, options, callback) {
+		var models = versioner(this), unsupported = unsupportedFilter(filter);
+		if( ! workflow ) return callback(new errors.VersionerError('No workflow configured.', 'NOT_CONFIGURED'));
+		if( unsupported ) return callback(unsupported);
+		var match = pathEquals(versionStatePath, options && options.state || workflow.initial),
+			queryOptions = Object.assign({}, options);
+		match[versionOfIdPath] = { $ne: null };
+		delete queryOptions.state;
+		models.shadow.aggregate([
+			{ $match: { $and: [match, filter || {}] } },
+			{ $sort: byNumberDesc },
+			{ $group: { _id: '$' + versionOfIdPath, latest: { $first: '$_id' } } }
+		], function(err, latest) {
+			if( err ) return callback(err);
+			findShadows(models, { _id: { $in: latest.map(function(group) { return group.latest; }) } }, null, listOptions(queryOptions), callback);
+		});
+	});
 
   /**
-   * activateVersion
+   * flushPendingVersions
    *
-   * This function will set a document version as the active version
-   * by cloning it's data to the original collection and updating the
-   * active version pointer.
+   * Stores the versions queued in the pending collection because the
+   * middleware could not store them (outbox option).  A version which
+   * cannot be stored again stays queued with its number of attempts and
+   * the last error.
    *
-   * @param {ObjectId} id   The Id of the version document to activate
-   * @param {Function} callback
+   * @param {Object} [options]  limit: the maximum number of versions to store
+   * @param {Function} [callback]   receives {stored, failed}, each a list of version Ids
+   * @return {Promise|undefined}
    */
-  schema.statics.activateVersion = function (id, callback) {
-    // 1) First look to see if this document exists
-    shadowModel.findById(id, function (err, result) {
-      if (err) {
-        callback(err);
-      } else if (result === null) {
-        callback({'success':false});
-      } else {
-        var model = mongoose.model(modelName);
-        // 2) Find the Active document
-        model.findById(result[versionOfIdPath], function (err, active) {
-          if (err) {
-            callback(err);
-          } else if (active === null) {
-            callback({'success':false});
-          } else {
-            // 3) Copy all of the properties from the Version to the Active document
-            var versDocObj = result.toObject();
-            for (var key in versDocObj) {
-              if (key !== '_id' && key !== versionOfIdPath && key !== schema.options.versionKey) {
-                active[key] = versDocObj[key];
-              }
-            }
-            // 4) Set the version pointer to the Version we are activating
-            active[versionIdPath] = id;
-            active.save(function (err, activeSaved) {
-              callback(err, activeSaved);
-            });
-          }
-        });
-      }
-    });
-  };
+  schema.statics.flushPendingVersions = optional(1, function (options, callback) {
+		var models = versioner(this);
+		if( ! outbox ) return callback(new errors.VersionerError('The outbox option is not set.', 'NOT_CONFIGURED'));
+		var report = { stored: [], failed: [] };
+		models.pending.find({}).sort({ createdAt: 1 }).limit(options && options.limit || 0).exec(function(err, pending) {
+			if( err ) return callback(err);
+			eachSeries(pending, function(entry, next) {
+				// the version may have been stored although the write reported an error
+				models.shadow.findById(entry._id, '_id', function(err, existing) {
+					if( err ) return next(err);
+					if( existing ) return done();
+					var shadow = entry.model ? versioner(models.original.db.model(entry.model)).shadow : models.shadow,
+						versDoc = new shadow(entry.data);
+					// its original has been written already
+					storeVersion(models, versDoc, null, function(err) {
+						if( ! err ) {
+							return retainVersions(models, versDoc[versionOfIdPath], null, function(err) {
+								if( err ) return next(err);
+								done();
+							});
+						}
+						report.failed.push(entry._id);
+						models.pending.updateOne({ _id: entry._id }, { $set: { error: err.message || String(err) }, $inc: { attempts: 1 } }, next);
+					});
+				});
+				function done() {
+					report.stored.push(entry._id);
+					models.pending.deleteOne({ _id: entry._id }, next);
+				}
+			}, function(err) {
+				callback(err, report);
+			});
+		});
+	});
 
   /**
-   * upsertVersion
-   *
-   * NOTE: This function should be used to save all documents in place of
-   * the original schema's save() method.
+   * verifyVersions
    *
-   * This function is a lightweight version of saveVersion to be used in 
-   * append-only situations when the application logic does not cater for 
-   * modifying not-active i.e. previous versions.
+   * Scans the original and shadow collections for
+   * + missing: originals without a versionId or pointing to a version which
+   *   does not exist or belongs to another document
+   * + mismatched: originals whose content differs from their active version
+   * + orphaned: documents with versions which vanished without a deletion
+   *   being recorded
    *
-   * If dataObj's _id is null i.e. undefined it creates a new document
-   * if _id exists it uses findAndModify to ensure that the active version
-   * gets modified. An attempt to modify a not-active version of a document
-   * will result in an error.
-   * In both cases (save or findAndModify) a new shadow document is created.
-	 *
-	 * The optional query object has been added to support atomicity in create
-	 * mode, so when no object id is present. An example use case is to compute
-	 * a check sum of the relevant fields of the document which is the used
-	 * in the findOneAndModify call which replaced the update().
+   * With options.fix set a new version is created from the content of every
+   * missing or mismatched original and made its active version (operation
+   * 'repair'), and the versions of orphaned documents are flagged with
+   * versionMeta.orphaned.  Every entry of the report then carries what was
+   * done in `fixed`.
    *
-   * @param {Object} dataObj    The data to save
-	 * @param {Object} query      Optional query object
-   * @param {Function} callback
+   * @param {Object} [options]  fix, batchSize (default 100), meta: { author, comment } of the repairs
+   * @param {Function} [callback]   receives {documents, missing, mismatched, orphaned}
+   * @return {Promise|undefined}
    */
-  schema.statics.upsertVersion = function (dataObj, query, callback) {
-    var model = mongoose.model(modelName),
-			options = {};
-		if( ! callback ) {
-			callback = query;
-			query = null;
+  schema.statics.verifyVersions = optional(1, function (options, callback) {
+		var models = versioner(this), model = models.original,
+			report = { documents: 0, missing: [], mismatched: [], orphaned: [] },
+			batchSize;
+		options = options || {};
+		batchSize = options.batchSize || 100;
+
+		// Creates a new version from the content of the original and points the original to it
+		function repair(original, callback) {
+			transaction(models, options, function(session, callback) {
+				var versDoc = new ( shadowFor(models, original) )(versionContent(original));
+				versDoc[versionOfIdPath] = original._id;
+				stampVersion(versDoc, 'repair', options.meta);
+				markActive(versDoc);
+				storeVersion(models, versDoc, session, function(err, versSaved) {
+					if( err ) return callback(err);
+					model.updateOne({ _id: original._id }, { $set: pathEquals(versionIdPath, versSaved._id) }, sessionOptions(session, { skipVersioning: true }), function(err) {
+						if( err ) return callback(err);
+						retainVersions(models, original._id, session, function(err) {
+							callback(err, versSaved._id);
+						});
+					});
+				});
+			}, function(err, versionId) {
+				if( ! err ) {
+					emitEvent('versionCreated', original._id, versionId, 'repair', options.meta);
+					emitEvent('versionActivated', original._id, versionId, 'repair', options.meta);
+				}
+				callback(err, versionId);
+			});
 		}
 
-    function create_shadow(originalObj, callback) {
-			var input = {}, versDoc;
-			if( originalObj instanceof model ) {
-				input = originalObj.toObject();
-			} else {
-				Object.keys(originalObj).forEach(function(key) {
-					input[key] = originalObj[key];
+		function checkOriginal(original, next) {
+			var versionId = original[versionIdPath];
+			function check(err, version) {
+				var entry, changes;
+				if( err ) return next(err);
+				if( ! version || String(version[versionOfIdPath]) !== String(original._id) ) {
+					entry = { documentId: original._id, versionId: versionId };
+					report.missing.push(entry);
+				} else {
+					changes = diff.diff(versionContent(version), versionContent(original));
+					if( ! changes.length ) return next();
+					entry = { documentId: original._id, versionId: versionId, changes: changes };
+					report.mismatched.push(entry);
+				}
+				if( ! options.fix ) return next();
+				repair(original, function(err, fixedId) {
+					entry.fixed = fixedId;
+					next(err);
 				});
 			}
-			delete input._id;
-      var versDoc = new shadowModel(input);
-			versDoc[versionOfIdPath] = originalObj._id.toString();
-			versDoc.save(function(err, versSaved) {
-				if( err ) return callback(err);
-				callback(undefined, versSaved);
+			report.documents++;
+			if( ! versionId ) return check(null, null);
+			findVersion(models, versionId, null, sessionOptions(options.session), check);
+		}
+
+		function checkOrphan(id, next) {
+			var fields = {};
+			fields[versionMetaPath] = 1;
+			if( deleteFlag ) fields[deleteFlag] = 1;
+			models.shadow.findOne(pathEquals(versionOfIdPath, id), fields).sort(byNumberDesc).exec(function(err, latest) {
+				if( err || ! latest ) return next(err);
+				// deleted on purpose or already flagged
+				if( deleteFlag && latest[deleteFlag] || latest.get(versionMetaPath + '.operation') === 'delete' || latest.get(versionMetaPath + '.orphaned') ) return next();
+				var entry = { documentId: id };
+				report.orphaned.push(entry);
+				if( ! options.fix ) return next();
+				models.shadow.updateMany(pathEquals(versionOfIdPath, id), { $set: pathEquals(versionMetaPath + '.orphaned', true) }, function(err) {
+					entry.fixed = ! err;
+					next(err);
+				});
 			});
 		}
-			
-		if( ! dataObj._id ) {
-			// 1) Create a new document
-			var original = new model(dataObj);
-			// 2) Create a new shadow object
-			create_shadow(original, function(err, versSaved) {
-				if( err ) return callback(err);
-				// 3) Pass the shadow version to the original document and create it
-				original[versionIdPath] = versSaved._id.toString();
-				model.findOneAndUpdate( query || { _id: original._id }, { $setOnInsert: original }, { upsert: true, new: false }, function(err, doc) {
-					if( err ) {
-						versSaved.remove();
-						return callback(err);
-					}
-					// With new = false above doc will be null if a new document was inserted.
-					// If doc is not null the insert did not take place because of the $setOnInsert above,
-					// so the version document should be removed again.
-					if( doc ) {
-						versSaved.remove();
-						var error = new Error('The document already exists with id ' + doc._id + '.');
-						error.name = 'DuplicationError';
-						return callback(error);
-					}
-					callback(undefined, original);
+
+		// 1) Check the active version of every original
+		eachBatch(model, {}, null, batchSize, function(originals, callback) {
+			eachSeries(originals, checkOriginal, callback);
+		}, function(err) {
+			if( err ) return callback(err);
+			// 2) Check that the documents of all versions exist
+			eachVersionedBatch(models, {}, batchSize, function(batch, next) {
+				model.find({ _id: { $in: batch } }, '_id', function(err, originals) {
+					if( err ) return next(err);
+					var existing = originals.map(function(original) {
+						return original._id.toString();
+					});
+					eachSeries(batch.filter(function(id) {
+						return existing.indexOf(id.toString()) === -1;
+					}), checkOrphan, next);
 				});
+			}, function(err) {
+				callback(err, report);
 			});
-		} else {
-			// Updating an existing document
-			// Or if isNew, creating a brand new which also does not require a versionId (since there is none yet)
-			if( ! dataObj.isNew && ! append_only && ! dataObj[versionIdPath] ) return callback(new Error('Please specify the revision you would like to change.'));
-			// 1) Create a new shadow object
-			create_shadow(dataObj, function(err, versSaved) {
-				if( err ) return callback(err);
-				var query = { _id: dataObj._id.toString() };
-				if( ! dataObj.isNew && ! append_only ) query[versionIdPath] = dataObj[versionIdPath];
-				if( dataObj.isNew ) {
-					dataObj = dataObj.toObject(); // findOneAndUpdate() won't work with a mongoose object
-					options.upsert = true;
+		});
+	});
+
+  /**
+   * bootstrapVersions
+   *
+   * Walks the original collection in batches and creates an initial version
+   * (operation 'bootstrap') for every document without a versionId, which is
+   * then set to it.  If the latest version of a document already has its
+   * content, e.g. because an earlier run was interrupted, it is used instead.
+   * Documents which got a versionId in the meantime are left alone, so it
+   * can be rerun and run next to the application at any time.
+   *
+   * @param {Object} [options]  batchSize (default 100), meta: { author, comment } of the versions
+   * @param {Function} [callback]   receives {documents, created, reused, skipped}
+   * @return {Promise|undefined}
+   */
+  schema.statics.bootstrapVersions = optional(1, function (options, callback) {
+		var models = versioner(this), model = models.original,
+			report = { documents: 0, created: 0, reused: 0, skipped: 0 },
+			unversioned = pathEquals(versionIdPath, null);
+		options = options || {};
+
+		function bootstrap(original, next) {
+			var linked;
+			report.documents++;
+			transaction(models, options, function(session, callback) {
+				// 1) Look for a version with the same content
+				findShadows(models, pathEquals(versionOfIdPath, original._id), null, sessionOptions(session, { sort: byNumberDesc, limit: 1 }), function(err, versions) {
+					if( err ) return callback(err);
+					var latest = versions[0], versDoc;
+					if( latest && ! diff.diff(versionContent(latest), versionContent(original)).length ) return link(latest, false);
+					// 2) Otherwise create the initial version
+					versDoc = new ( shadowFor(models, original) )(versionContent(original));
+					versDoc[versionOfIdPath] = original._id;
+					stampVersion(versDoc, 'bootstrap', options.meta);
+					markActive(versDoc);
+					storeVersion(models, versDoc, session, function(err, versSaved) {
+						if( err ) return callback(err);
+						link(versSaved, true);
+					});
+				});
+
+				// 3) Point the original to the version unless it got one in the meantime
+				function link(version, created) {
+					var filter = pathEquals(versionIdPath, null);
+					filter._id = original._id;
+					linked = version._id;
+					model.updateOne(filter, { $set: pathEquals(versionIdPath, version._id) }, sessionOptions(session, { skipVersioning: true }), function(err, res) {
+						if( err ) return callback(err);
+						if( res.matchedCount !== undefined ? res.matchedCount : res.n ) {
+							if( ! created ) return callback(null, 'reused');
+							return retainVersions(models, original._id, session, function(err) {
+								callback(err, err ? null : 'created');
+							});
+						}
+						// the version nobody points to goes again, also within a transaction which is committed
+						if( ! created ) return callback(null, 'skipped');
+						removeVersion(models, version, session, function(err) {
+							callback(err, err ? null : 'skipped');
+						});
+					});
 				}
-				dataObj[versionIdPath] = versSaved._id.toString();
-				// 2) Update the original object (if the provided revision matches the actual revision)
-				model.findOneAndUpdate(query, dataObj, options, function(err, origSaved) {
-					if( err ) {
-						versSaved.remove();
-						return callback(err);
-					}
-					if( ! origSaved ) {
-						versSaved.remove();
-						return callback(new Error('Your copy of the data set with revision ' + query[versionIdPath] + ' is not up-to-date, please refresh first, then try again.'));
-					}
-					callback(undefined, origSaved);
+			}, function(err, outcome) {
+				if( outcome ) report[outcome]++;
+				if( outcome === 'created' ) emitEvent('versionCreated', original._id, linked, 'bootstrap', options.meta);
+				if( outcome === 'created' || outcome === 'reused' ) emitEvent('versionActivated', original._id, linked, 'bootstrap', options.meta);
+				next(err);
+			});
+		}
+
+		eachBatch(model, unversioned, null, options.batchSize || 100, function(originals, callback) {
+			eachSeries(originals, bootstrap, callback);
+		}, function(err) {
+			callback(err, report);
+		});
+	});
+
+  /**
+   * exportHistory
+   *
+   * Writes the documents matching the filter and their versions to a
+   * stream as NDJSON, one line per document followed by one line per
+   * version in the order of their version numbers:
+   *
+   *   {"type":"original","model":"Foo","data":{...}}
+   *   {"type":"version","model":"Foo","data":{...}}
+   *
+   * Versions are written in full, also with storage 'delta'.  With
+   * options.before only the versions created before that date are written,
+   * with options.remove set they are removed once they have been written,
+   * except for the active version and versions still needed by a schedule.
+   * The stream is not ended.
+   *
+   * @param {Object} filter     Query on the original collection
+   * @param {Writable} stream
+   * @param {Object} [options]  before, remove, batchSize (default 100)
+   * @param {Function} [callback]   receives {documents, versions, removed}
+   * @return {Promise|undefined}
+   */
+  schema.statics.exportHistory = optional(3, function (filter, stream, options, callback) {
+		var models = versioner(this),
+			report = { documents: 0, versions: 0, removed: 0 };
+		options = options || {};
+
+		function exportDocument(original, next) {
+			var versionFilter = pathEquals(versionOfIdPath, original._id),
+				activeId = original[versionIdPath] && original[versionIdPath].toString();
+			if( options.before ) versionFilter[versionMetaPath + '.createdAt'] = { $lt: new Date(options.before) };
+			report.documents++;
+			ndjson.writeLine(stream, { type: 'original', model: original.constructor.modelName, data: original.toObject({ depopulate: true }) }, function(err) {
+				if( err ) return next(err);
+				findShadows(models, versionFilter, null, listOptions({}), function(err, versions) {
+					if( err ) return next(err);
+					eachSeries(versions, function(version, next) {
+						report.versions++;
+						ndjson.writeLine(stream, { type: 'version', model: originalFor(models, version).modelName, data: version.toObject({ depopulate: true }) }, function(err) {
+							var state = version.get(versionSchedulePath + '.state');
+							if( err || ! options.remove || version._id.toString() === activeId || state === 'pending' || state === 'active' ) return next(err);
+							removeVersion(models, version, null, function(err) {
+								if( ! err ) report.removed++;
+								next(err);
+							});
+						});
+					}, next);
 				});
 			});
 		}
-	};
-  
+
+		eachBatch(models.original, filter || {}, null, options.batchSize || 100, function(originals, callback) {
+			eachSeries(originals, exportDocument, callback);
+		}, function(err) {
+			callback(err, report);
+		});
+	});
+
   /**
-   * deleteOriginal
+   * importHistory
    *
-   * This function can be used to delete a document but leave the shadow versions intact
-   * optionally setting a delete flag on the active version (i.e. create a new one in append_only mode)
+   * Reads documents and versions written by exportHistory from a stream and
+   * stores them as they are, i.e. without running the middleware, numbering
+   * or pruning the versions.  Documents and versions which exist already are
+   * skipped, so an archive can be imported again after a partial import and
+   * the versions removed by exportHistory can be restored next to their
+   * document.  With options.newIds set every document and version gets a
+   * new Id instead and the versionOfId and versionId links are rewritten, so
+   * documents can be copied into a collection holding them already.  The
+   * links are only rewritten between a document and the versions following
+   * it, as written by exportHistory, so the new Ids never pile up in memory.
    *
-   * @param {Object} queryObj   (including versionIdPath unless append_only)
-   * @param {Object} dataObj    optional data object to set some attributes on the (newly created) shadow, like modified_at, by...
-   * @param {Function} callback
+   * @param {Readable} stream
+   * @param {Object} [options]  newIds
+   * @param {Function} [callback]   receives {documents, versions, skipped}
+   * @return {Promise|undefined}
    */
-  schema.statics.deleteOriginal = function (queryObj, dataObj, callback) {
-    var model = mongoose.model(modelName);
+  schema.statics.importHistory = optional(2, function (stream, options, callback) {
+		var models = versioner(this),
+			report = { documents: 0, versions: 0, skipped: 0 },
+			ids = {};
+		options = options || {};
 
-		if( ! callback ) {
-			callback = dataObj;
-			dataObj = undefined;
+		// The Id a document or version gets in this collection
+		function mapId(id) {
+			if( ! options.newIds || ! id ) return id;
+			return ids[id.toString()] = ids[id.toString()] || new mongoose.Types.ObjectId();
 		}
-		if( ! append_only && ! queryObj[versionIdPath] ) return callback('Please specify the revision you would like to change.');
-		// 1) Retrieve the original
-		model.find(queryObj, function(err, origs) {
-			if( err ) return callback(err);
-			if( ! origs || ! origs.length ) return callback(new Error('Your copy of the data set with revision ' + queryObj[versionIdPath] + ' is not up-to-date, please refresh first, then try again.'));
-			if( origs.length > 1 ) return callback(new Error('Cannot delete more than one document.'));
-			var origSaved = origs[0],
-				origObj = origSaved.toObject();
-			origObj[versionOfIdPath] = origObj._id.toString();
-			delete origObj._id;
-			delete origObj[versionIdPath];
-			if( schema.options.versionKey ) delete origObj[schema.options.versionKey];
-			if( deleteFlag ) origObj[deleteFlag] = true;
-			if( dataObj ) {
-				Object.keys(dataObj).forEach(function(key) {
-					origObj[key] = dataObj[key];
-				});
-			}
-			// 2) Create the new version i.e. update the existing one
-			if( append_only ) {
-      	var versDoc = new shadowModel(origObj);
-				versDoc.save(function(err, versSaved) {
-					if( err ) return callback(err);
-					// 3) Delete original
-					model.remove({ _id: origSaved._id.toString() }, function(err) {
-						if( err ) {
-							versSaved.remove();
-							return callback(err);
-						}
-						callback(null, origSaved);
-					});
+
+		function importOriginal(model, data, callback) {
+			var doc = new model(data);
+			doc._id = mapId(data._id);
+			doc[versionIdPath] = mapId(data[versionIdPath]);
+			model.findById(doc._id, '_id', function(err, existing) {
+				if( err ) return callback(err);
+				if( existing ) return callback(null, 'skipped');
+				// written to the collection directly so the save hook does not version it again
+				model.collection.insertOne(doc.toObject({ depopulate: true }), function(err) {
+					callback(err, err ? null : 'documents');
 				});
-			} else if( deleteFlag ) {
-				var query = { _id: queryObj[versionIdPath] },
-					data = {};
-				data[deleteFlag] = true;
-				shadowModel.findOneAndUpdate(query, data , function(err, savedVersion) {
-					if( err ) return callback(err);
-					if( ! savedVersion ) return callback(new Error('Your version documents are inconsistent.'));
-					// 3) Delete original
-					model.remove({ _id: origSaved._id.toString() }, function(err) {
-						if( err ) {
-							versSaved.remove();
-							return callback(err);
-						}
-						callback(null, origSaved);
+			});
+		}
+
+		function importVersion(model, data, callback) {
+			var target = versioner(model),
+				versDoc = new target.shadow(data),
+				previousId = versDoc.get(versionSchedulePath + '.previousId');
+			versDoc._id = mapId(data._id);
+			versDoc[versionOfIdPath] = mapId(data[versionOfIdPath]);
+			if( previousId ) versDoc.set(versionSchedulePath + '.previousId', mapId(previousId));
+			target.shadow.findById(versDoc._id, '_id', function(err, existing) {
+				if( err ) return callback(err);
+				if( existing ) return callback(null, 'skipped');
+				writeVersion(target, versDoc, null, function(err) {
+					if( err || ! versDoc[versionOfIdPath] || ! versDoc[versionNumberPath] ) return callback(err, err ? null : 'versions');
+					// later versions of the document are numbered after the imported ones
+					target.counter.updateOne({ _id: versDoc[versionOfIdPath] }, { $max: { seq: versDoc[versionNumberPath] } }, { upsert: true }, function(err) {
+						callback(err, err ? null : 'versions');
 					});
 				});
-			} else {
-				// Nothing to do
-				callback(new Error('Do not know what to do, both append_only and delete_flag are not set.'));
+			});
+		}
+
+		ndjson.eachLine(stream, function(line, number, next) {
+			var model = line.model && models.original.db.models[line.model] || models.original;
+			if( ! line.data || ( line.type !== 'original' && line.type !== 'version' ) ) {
+				return next(new errors.VersionerError('Line ' + number + ' is neither a document nor a version.', 'INVALID_HISTORY'));
 			}
+			// the versions of the previous document are done
+			if( line.type === 'original' ) ids = {};
+			( line.type === 'original' ? importOriginal : importVersion )(model, line.data, function(err, outcome) {
+				if( outcome ) report[outcome]++;
+				next(err);
+			});
+		}, function(err) {
+			callback(err, report);
 		});
+	});
+
+  /**
+   * versionEvents
+   *
+   * Returns the EventEmitter the version lifecycle events are emitted on,
+   * the events option if given.
+   *
+   * @return {EventEmitter}
+   */
+  schema.statics.versionEvents = function () {
+		return events;
 	};
 
   //-------------------------------------------------------------------------
@@ -520,9 +2719,21 @@ module.exports = function (schema, options) {
 	/*
    * This is the attempt to provide a upsertVersion on document level using pre-save and post-save hooks.
    * The concept is the same as in the static upsertVersion function.
-   * The only caveat is the fact that upon failure of storing the shadowDoc there is no way of returning an error.
+   * The only caveat is the fact that upon failure of storing the shadowDoc the original has already been saved,
+   * the ShadowWriteError passed to the caller's save callback contains the id of the missing version.
+   * With the outbox option the version is queued for flushPendingVersions instead, see storeOrQueue.
+   * The author and comment of the version can be set through the versionContext virtual before saving or removing.
+   * The hooks cannot start a transaction themselves, they join the session of the document though,
+   * i.e. doc.save({ session: session }) writes the original and its version in the same transaction.
  	*/
 	if( hookWanted ) {
+		contextVirtual = schema.virtual(versionContextPath);
+		contextVirtual.getters.push(function() {
+			return this['_' + versionContextPath];
+		});
+		contextVirtual.setters.push(function(context) {
+			this['_' + versionContextPath] = context;
+		});
 		hookVirtual = schema.virtual(versionVirtualPath);
 		hookVirtual.getters.push(function() {
 			return this['_' + versionVirtualPath];
@@ -531,86 +2742,324 @@ module.exports = function (schema, options) {
 			this['_' + versionVirtualPath] = versDoc;
 		});
 		schema.pre('save', function(next) {
-			var origDoc = this, input = this.toObject(), fields = {}, shadowDoc,
-    		model = mongoose.model(modelName);
-			delete input._id;
-			delete input[versionIdPath];
-			if( schema.options.versionKey ) delete input[schema.options.versionKey];
+			var origDoc = this, fields = {},
+				models = versioner(this.constructor),
+    		model = models.original;
+			function create_shadow() {
+				var input = origDoc.toObject(), shadowDoc;
+				origDoc[versionVirtualPath] = undefined;
+				delete input._id;
+				delete input[versionIdPath];
+				if( schema.options.versionKey ) delete input[schema.options.versionKey];
+				// 2) Create the shadow document
+				input[versionOfIdPath] = origDoc._id.toString();
+				shadowDoc = new models.shadow(input); // the shadow doc needs to be fully fleshed to meet all Schema requirements
+				stampVersion(shadowDoc, 'save', origDoc[versionContextPath]);
+				markActive(shadowDoc);
+				origDoc[versionIdPath] = shadowDoc._id.toString();
+				origDoc[versionVirtualPath] = shadowDoc;
+				next();
+			}
+			// with skipUnchanged no version is stored if the versioned data equals the active version
+			function create_changed_shadow() {
+				if( ! skipUnchanged || origDoc.isNew ) return create_shadow();
+				unchangedVersion(models, origDoc._id, versionContent(origDoc), false, origDoc.$session(), function(err, unchanged) {
+					if( err ) return next(err);
+					if( ! unchanged ) return create_shadow();
+					origDoc[versionVirtualPath] = undefined;
+					next();
+				});
+			}
 			// 1) Check if we are current
 			fields[versionIdPath] = 1;
 			if( ! append_only ) {
-				model.findById(this._id, fields, function(err, origSaved) {
+				model.findById(this._id, fields, sessionOptions(this.$session()), function(err, origSaved) {
 					if( err ) {
 						return next(err.message ? err : new Error(err));
 					}
 					if( origSaved && ( ! origDoc[versionIdPath] || origDoc[versionIdPath].toString() !== origSaved[versionIdPath].toString() ) ) {
-						return next(new Error('Your copy of the data set with revision ' + origDoc[versionIdPath] + ' is not up-to-date, please refresh first, then try again.'));
+						if( ! mergeWanted || ! origDoc[versionIdPath] ) {
+							err = new errors.VersionConflictError(origDoc[versionIdPath], origSaved[versionIdPath]);
+							emitConflict(err, origDoc._id, 'save', origDoc[versionContextPath]);
+							return next(err);
+						}
+						// 1a) Merge with the changes saved in the meantime
+						return mergeStale(models, origDoc._id, origDoc[versionIdPath], versionContent(origDoc), false, origDoc.$session(), function(err, merged) {
+							if( err ) {
+								emitConflict(err, origDoc._id, 'save', origDoc[versionContextPath]);
+								return next(err);
+							}
+							Object.keys(merged.content).forEach(function(key) {
+								origDoc.set(key, merged.content[key]);
+							});
+							merged.removed.forEach(function(key) {
+								origDoc.set(key, undefined);
+							});
+							create_changed_shadow();
+						});
 					}
-					// 2) Create the shadow document
-					input[versionOfIdPath] = origDoc._id.toString();
-					shadowDoc = new shadowModel(input); // the shadow doc needs to be fully fleshed to meet all Schema requirements
-					origDoc[versionIdPath] = shadowDoc._id.toString();
-					origDoc[versionVirtualPath] = shadowDoc;
-					next();
+					create_changed_shadow();
 				});
 			} else {
-				// 2) Create the shadow document
-				input[versionOfIdPath] = origDoc._id.toString();
-				shadowDoc = new shadowModel(input); // the shadow doc needs to be fully fleshed to meet all Schema requirements
-				origDoc[versionIdPath] = shadowDoc._id.toString();
-				origDoc[versionVirtualPath] = shadowDoc;
-				next();
+				create_changed_shadow();
 			}
 		});
-		schema.post('save', function() {
+		schema.post('save', function(doc, next) {
 			// 3) Update the shadow document's values and save it
-			var input = this.toObject(), shadowDoc = this[versionVirtualPath];
-      for (var key in input) {
-        if (key !== '_id' && key !== versionOfIdPath && key !== schema.options.versionKey) {
-          shadowDoc[key] = input[key];
-        }
-      }
-			shadowDoc.save(function(err, versSaved) {
-				// Or better throw an Error here?
-				if( err ) console.error('Error saving the version document: ' + ( err.message || err ));
+			var shadowDoc = this[versionVirtualPath],
+				meta = this[versionContextPath],
+				models = versioner(this.constructor);
+			this[versionContextPath] = undefined;
+			// skipped because nothing versioned has changed
+			if( ! shadowDoc ) return next();
+			copyContent(this, shadowDoc);
+			storeOrQueue(models, shadowDoc, this.$session(), function(err, queued) {
+				if( err ) return next(err);
+				if( queued ) {
+					emitEvent('versionQueued', doc._id, shadowDoc._id, 'save', meta);
+				} else {
+					emitEvent('versionCreated', doc._id, shadowDoc._id, 'save', meta);
+					emitEvent('versionActivated', doc._id, shadowDoc._id, 'save', meta);
+				}
+				next();
 			});
 		});
 		schema.pre('remove', function(next) {
 			var origDoc = this, input = this.toObject(), fields = {}, shadowDoc,
-    		model = mongoose.model(modelName);
+				models = versioner(this.constructor),
+    		model = models.original;
 			delete input._id;
 			delete input[versionIdPath];
 			if( schema.options.versionKey ) delete input[schema.options.versionKey];
 			// 1) Check if we are current
 			fields[versionIdPath] = 1;
 			if( ! append_only ) {
-				model.findById(this._id, fields, function(err, origSaved) {
+				model.findById(this._id, fields, sessionOptions(this.$session()), function(err, origSaved) {
 					if( err ) {
 						return next(err.message ? err : new Error(err));
 					}
 					if( origSaved && ( ! origDoc[versionIdPath] || origDoc[versionIdPath].toString() !== origSaved[versionIdPath].toString() ) ) {
-						return next(new Error('Your copy of the data set with revision ' + origDoc[versionIdPath] + ' is not up-to-date, please refresh first, then try again.'));
+						err = new errors.VersionConflictError(origDoc[versionIdPath], origSaved[versionIdPath]);
+						emitConflict(err, origDoc._id, 'delete', origDoc[versionContextPath]);
+						return next(err);
 					}
 					// 2) Create the shadow document
 					input[versionOfIdPath] = origDoc._id.toString();
-					shadowDoc = new shadowModel(input); // the shadow doc needs to be fully fleshed to meet all Schema requirements
+					shadowDoc = new models.shadow(input); // the shadow doc needs to be fully fleshed to meet all Schema requirements
 					if( deleteFlag ) shadowDoc[deleteFlag] = true;
-					shadowDoc.save(function(err, versSaved) {
+					stampVersion(shadowDoc, 'delete', origDoc[versionContextPath]);
+					storeVersion(models, shadowDoc, origDoc.$session(), function(err, versSaved) {
 						if( err ) return next(err);
+						origDoc[versionVirtualPath] = versSaved;
 						next();
 					});
 				});
 			} else {
 				// 2) Create the shadow document
 				input[versionOfIdPath] = origDoc._id.toString();
-				shadowDoc = new shadowModel(input); // the shadow doc needs to be fully fleshed to meet all Schema requirements
+				shadowDoc = new models.shadow(input); // the shadow doc needs to be fully fleshed to meet all Schema requirements
 				if( deleteFlag ) shadowDoc[deleteFlag] = true;
-				shadowDoc.save(function(err, versSaved) {
+				stampVersion(shadowDoc, 'delete', origDoc[versionContextPath]);
+				storeVersion(models, shadowDoc, origDoc.$session(), function(err, versSaved) {
 					if( err ) return next(err);
+					origDoc[versionVirtualPath] = versSaved;
 					next();
 				});
 			}
 		});
+		schema.post('remove', function(doc, next) {
+			var shadowDoc = this[versionVirtualPath],
+				meta = this[versionContextPath];
+			if( ! shadowDoc ) return next();
+			// the version of the deletion was stored by the pre hook, prune once the document is gone
+			retainVersions(versioner(this.constructor), doc._id, this.$session(), function(err) {
+				if( err ) return next(err);
+				emitEvent('originalDeleted', doc._id, shadowDoc._id, 'delete', meta);
+				next();
+			});
+		});
+
+		/*
+		 * Query middleware
+		 *
+		 * updateOne, findOneAndUpdate, updateMany, deleteOne and deleteMany store
+		 * the new state (or the deletion) of every document they affect as a new
+		 * version.  The affected documents are looked up before the query runs,
+		 * which is also where the revision check of the save hook takes place:
+		 * the revision is taken from the versionId in the filter or the update of
+		 * the query and has to be given for queries on a single document unless
+		 * append_only is set.  The new versionId is written to the collection
+		 * directly so the middleware does not run again.  The author and comment
+		 * are taken from the versionContext option of the query, queries with
+		 * the skipVersioning option set are left alone.  Updates only keep the
+		 * Ids of the affected documents in memory and load them again in batches
+		 * of queryBatchSize afterwards.  Documents an update did not change get
+		 * no new version.
+		 */
+		function revisionOf(query) {
+			var filter = query.getQuery(),
+				update = query.getUpdate && query.getUpdate() || {},
+				revision = filter[versionIdPath] || update[versionIdPath] || update.$set && update.$set[versionIdPath];
+			// an operator like $in does not name a single revision
+			if( revision && typeof revision === 'object' && ! revision.toHexString ) return undefined;
+			return revision;
+		}
+
+		function affectedDocuments(query, fields, callback) {
+			var options = query.options || {},
+				filter = query.getQuery(),
+				single = query.op !== 'updateMany' && query.op !== 'deleteMany',
+				revision = revisionOf(query),
+				find = query.model.find(filter, fields).session(options.session);
+			// the Ids and revisions are all an update needs
+			if( fields ) find.lean();
+			if( single ) {
+				if( options.sort ) find.sort(options.sort);
+				find.limit(1);
+			}
+			find.exec(function(err, docs) {
+				if( err ) return callback(err);
+				if( ! revision ) {
+					if( single && docs.length && ! append_only ) return callback(new errors.RevisionRequiredError());
+					return callback(null, docs);
+				}
+				for( var i = 0; i < docs.length; i++ ) {
+					if( ! docs[i][versionIdPath] || docs[i][versionIdPath].toString() !== revision.toString() ) {
+						return callback(new errors.VersionConflictError(revision, docs[i][versionIdPath]));
+					}
+				}
+				if( docs.length || ! filter[versionIdPath] ) return callback(null, docs);
+				// nothing matched, tell a stale revision from a missing document
+				filter = Object.assign({}, filter);
+				delete filter[versionIdPath];
+				query.model.findOne(filter, versionIdPath).session(options.session).exec(function(err, current) {
+					if( err ) return callback(err);
+					if( current ) return callback(new errors.VersionConflictError(revision, current[versionIdPath]));
+					callback(null, docs);
+				});
+			});
+		}
+
+		// The number of documents an update changed or inserted, undefined if its result does not tell
+		function modifiedCount(res) {
+			if( ! res || typeof res !== 'object' ) return undefined;
+			if( res.modifiedCount !== undefined ) return res.modifiedCount + ( res.upsertedCount || 0 );
+			if( res.nModified !== undefined ) return res.nModified + ( res.upserted ? res.upserted.length : 0 );
+			return undefined;
+		}
+
+		// the documents of a query on the base model may be of a discriminator type
+		function storeDocumentVersion(doc, operation, meta, session, callback) {
+			var input = doc.toObject(), shadowDoc,
+				models = versioner(doc.constructor);
+			delete input._id;
+			delete input[versionIdPath];
+			if( schema.options.versionKey ) delete input[schema.options.versionKey];
+			input[versionOfIdPath] = doc._id.toString();
+			shadowDoc = new models.shadow(input); // the shadow doc needs to be fully fleshed to meet all Schema requirements
+			if( operation === 'delete' && deleteFlag ) shadowDoc[deleteFlag] = true;
+			stampVersion(shadowDoc, operation, meta);
+			function stored(err, queued) {
+				if( err ) return callback(err);
+				if( queued ) {
+					emitEvent('versionQueued', doc._id, shadowDoc._id, operation, meta);
+				} else if( operation === 'save' ) {
+					emitEvent('versionCreated', doc._id, shadowDoc._id, operation, meta);
+					emitEvent('versionActivated', doc._id, shadowDoc._id, operation, meta);
+				} else {
+					emitEvent('originalDeleted', doc._id, shadowDoc._id, operation, meta);
+				}
+				callback();
+			}
+			if( operation !== 'save' ) return storeOrQueue(models, shadowDoc, session, stored);
+			markActive(shadowDoc);
+			// like the save hook point the document to its version first
+			doc.constructor.collection.updateOne({ _id: doc._id }, { $set: pathEquals(versionIdPath, shadowDoc._id) }, sessionOptions(session, {}), function(err) {
+				if( err ) return callback(new errors.ShadowWriteError(err, shadowDoc._id));
+				storeOrQueue(models, shadowDoc, session, stored);
+			});
+		}
+
+		['updateOne', 'findOneAndUpdate', 'updateMany'].forEach(function(op) {
+			schema.pre(op, { query: true, document: false }, function(next) {
+				var query = this, options = this.options || {};
+				if( options.skipVersioning ) return next();
+				affectedDocuments(query, versionIdPath, function(err, docs) {
+					if( err ) {
+						emitConflict(err, query.getQuery()._id, 'save', options[versionContextPath]);
+						return next(err);
+					}
+					var ids = docs.map(function(doc) {
+							return doc._id;
+						}),
+						filter = query.getQuery(),
+						update = query.getUpdate();
+					// an upsert may create the document, make sure its Id is known
+					if( options.upsert && ! docs.length ) {
+						if( filter._id && ( typeof filter._id !== 'object' || filter._id.toHexString ) ) {
+							ids.push(filter._id);
+						} else {
+							update.$setOnInsert = update.$setOnInsert || {};
+							update.$setOnInsert._id = update.$setOnInsert._id || new mongoose.Types.ObjectId();
+							ids.push(update.$setOnInsert._id);
+						}
+					}
+					query['_' + versionVirtualPath] = ids;
+					next();
+				});
+			});
+			schema.post(op, { query: true, document: false }, function(res, next) {
+				var ids = this['_' + versionVirtualPath],
+					options = this.options || {},
+					model = this.model,
+					modified = op === 'findOneAndUpdate' ? undefined : modifiedCount(res),
+					batches = [], compare;
+				if( options.skipVersioning || ! ids || ! ids.length || modified === 0 ) return next();
+				// some documents are unchanged, tell them apart by comparing them with their active version
+				compare = skipUnchanged || modified !== undefined && modified < ids.length;
+				for( var i = 0; i < ids.length; i += queryBatchSize ) batches.push(ids.slice(i, i + queryBatchSize));
+				// 3) Store the new state of the documents
+				eachSeries(batches, function(batch, next) {
+					model.find({ _id: { $in: batch } }).session(options.session).exec(function(err, docs) {
+						if( err ) return next(err);
+						eachSeries(docs, function(doc, next) {
+							if( ! compare ) return storeDocumentVersion(doc, 'save', options[versionContextPath], options.session, next);
+							unchangedVersion(versioner(doc.constructor), doc._id, versionContent(doc), false, options.session, function(err, unchanged) {
+								if( err || unchanged ) return next(err);
+								storeDocumentVersion(doc, 'save', options[versionContextPath], options.session, next);
+							});
+						}, next);
+					});
+				}, next);
+			});
+		});
+
+		['deleteOne', 'deleteMany'].forEach(function(op) {
+			schema.pre(op, { query: true, document: false }, function(next) {
+				var query = this, options = this.options || {};
+				if( options.skipVersioning ) return next();
+				affectedDocuments(query, null, function(err, docs) {
+					if( err ) {
+						emitConflict(err, query.getQuery()._id, 'delete', options[versionContextPath]);
+						return next(err);
+					}
+					query['_' + versionVirtualPath] = docs;
+					next();
+				});
+			});
+			schema.post(op, { query: true, document: false }, function(res, next) {
+				var docs = this['_' + versionVirtualPath],
+					options = this.options || {};
+				if( options.skipVersioning || ! docs || ! docs.length ) return next();
+				// 3) Store the deletion of the documents
+				eachSeries(docs, function(doc, next) {
+					storeDocumentVersion(doc, 'delete', options[versionContextPath], options.session, next);
+				}, next);
+			});
+		});
 	}
 
 };
+
+module.exports.errors = errors;
+module.exports.router = require('./lib/router');
@@ -0,0 +1,81 @@
+/**
+ * Callback helpers
+ *
+ * All public methods of the plugin accept an optional node style callback
+ * as their last argument.  When it is omitted a Promise is returned instead.
+ */
+
+'use strict';
+
+var slice = Array.prototype.slice;
+
+/**
+ * optional
+ *
+ * Wraps a callback style function taking `arity` arguments followed by a
+ * callback.  Optional arguments may be left out by the caller, the trailing
+ * function (if any) is always treated as the callback and the remaining
+ * arguments are padded with undefined.
+ *
+ * @param {Number} arity      Number of arguments before the callback
+ * @param {Function} fn       function (arg1, ..., argN, callback)
+ * @return {Function}
+ */
+exports.optional = function (arity, fn) {
+	return function () {
+		var self = this,
+			args = slice.call(arguments),
+			callback;
+
+		if( typeof args[args.length - 1] === 'function' ) callback = args.pop();
+		args = args.slice(0, arity);
+		while( args.length < arity ) args.push(undefined);
+
+		if( callback ) {
+			fn.apply(self, args.concat(callback));
+			return;
+		}
+		return new Promise(function (resolve, reject) {
+			fn.apply(self, args.concat(function (err, result) {
+				if( err ) return reject(err);
+				resolve(result);
+			}));
+		});
+	};
+};
+
+/**
+ * eachSeries
+ *
+ * Calls fn for each item one after another and stops at the first error.
+ * Items fn is done with right away are handled in a loop instead of
+ * recursively, so long lists cannot overflow the stack.
+ *
+ * @param {Array} items
+ * @param {Function} fn         function (item, callback)
+ * @param {Function} callback   function (err)
+ */
+exports.eachSeries = function (items, fn, callback) {
+	var i = 0, looping = false, done = false, failed;
+
+	function next(err) {
+		done = true;
+		failed = err;
+		if( ! looping ) loop();
+	}
+
+	function loop() {
+		looping = true;
+		do {
+			done = false;
+			if( failed || i >= items.length ) {
+				looping = false;
+				return callback(failed);
+			}
+			fn(items[i++], next);
+		} while( done );
+		looping = false;
+	}
+
+	loop();
+};
@@ -0,0 +1,175 @@
+/**
+ * Document diff
+ *
+ * Compares two plain objects (e.g. the result of toObject() of two document
+ * versions) field by field, descending into nested objects and arrays.
+ *
+ * A change is described as
+ *
+ *   { op: 'add' | 'remove' | 'replace', path: ['nested', 'field', 0], from: ..., to: ... }
+ *
+ * where `from` is omitted for additions and `to` for removals.  ObjectIds
+ * are compared by their hex string, dates by their time value, Decimal128
+ * values by their string form and binary data by its bytes.  Maps are
+ * compared like objects.
+ */
+
+'use strict';
+
+/**
+ * normalize
+ *
+ * Turns a value into its JSON representation so it can be compared and
+ * stored in a patch.  Binary data stays a Buffer so it cannot be mistaken
+ * for a string, BSON Binary values (e.g. read with lean()) become Buffers.
+ *
+ * @param {*} value
+ * @return {*}
+ */
+function normalize(value) {
+	if( value === null || value === undefined ) return value;
+	if( value instanceof Date ) return value.toISOString();
+	if( typeof value.toHexString === 'function' ) return value.toHexString();
+	if( value._bsontype === 'Decimal128' ) return value.toString();
+	if( value._bsontype === 'Binary' ) return Buffer.from(value.value(true));
+	if( Buffer.isBuffer(value) ) return Buffer.from(value);
+	if( Array.isArray(value) ) return value.map(normalize);
+	if( value instanceof Map ) {
+		var entries = {};
+		value.forEach(function (entry, key) {
+			if( entry !== undefined ) entries[key] = normalize(entry);
+		});
+		return entries;
+	}
+	if( typeof value === 'object' ) {
+		var obj = {};
+		Object.keys(value).forEach(function (key) {
+			if( value[key] !== undefined ) obj[key] = normalize(value[key]);
+		});
+		return obj;
+	}
+	return value;
+}
+
+function isObject(value) {
+	return value !== null && typeof value === 'object' && ! Array.isArray(value) && ! Buffer.isBuffer(value);
+}
+
+function compare(a, b, path, changes) {
+	var i, keys;
+
+	if( Buffer.isBuffer(a) && Buffer.isBuffer(b) ) {
+		if( ! a.equals(b) ) changes.push({ op: 'replace', path: path, from: a, to: b });
+	} else if( Array.isArray(a) && Array.isArray(b) ) {
+		for( i = 0; i < Math.min(a.length, b.length); i++ ) {
+			compare(a[i], b[i], path.concat(i), changes);
+		}
+		for( i = a.length; i < b.length; i++ ) {
+			changes.push({ op: 'add', path: path.concat(i), to: b[i] });
+		}
+		// remove from the end so the indexes of a patch stay valid
+		for( i = a.length - 1; i >= b.length; i-- ) {
+			changes.push({ op: 'remove', path: path.concat(i), from: a[i] });
+		}
+	} else if( isObject(a) && isObject(b) ) {
+		keys = Object.keys(a);
+		Object.keys(b).forEach(function (key) {
+			if( keys.indexOf(key) === -1 ) keys.push(key);
+		});
+		keys.forEach(function (key) {
+			if( ! ( key in b ) ) {
+				changes.push({ op: 'remove', path: path.concat(key), from: a[key] });
+			} else if( ! ( key in a ) ) {
+				changes.push({ op: 'add', path: path.concat(key), to: b[key] });
+			} else {
+				compare(a[key], b[key], path.concat(key), changes);
+			}
+		});
+	} else if( a !== b ) {
+		changes.push({ op: 'replace', path: path, from: a, to: b });
+	}
+	return changes;
+}
+
+/**
+ * diff
+ *
+ * @param {Object} a   The old state
+ * @param {Object} b   The new state
+ * @return {Array} list of changes
+ */
+exports.diff = function (a, b) {
+	return compare(normalize(a || {}), normalize(b || {}), [], []);
+};
+
+/**
+ * toPointer
+ *
+ * @param {Array} path
+ * @return {String} RFC 6901 JSON Pointer
+ */
+function toPointer(path) {
+	return path.map(function (token) {
+		return '/' + String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+	}).join('');
+}
+
+/**
+ * toJsonPatch
+ *
+ * Converts a list of changes as returned by diff() into an RFC 6902 JSON Patch.
+ *
+ * @param {Array} changes
+ * @return {Array}
+ */
+exports.toJsonPatch = function (changes) {
+	return changes.map(function (change) {
+		var op = { op: change.op, path: toPointer(change.path) };
+		if( change.op !== 'remove' ) op.value = change.to;
+		return op;
+	});
+};
+
+function fromPointer(pointer) {
+	return pointer.split('/').slice(1).map(function (token) {
+		return token.replace(/~1/g, '/').replace(/~0/g, '~');
+	});
+}
+
+/**
+ * applyPatch
+ *
+ * Applies a JSON Patch as returned by toJsonPatch() to a copy of an object.
+ * Only the add, remove and replace operations are supported.
+ *
+ * @param {Object} obj
+ * @param {Array} patch
+ * @return {Object} the patched copy
+ */
+exports.applyPatch = function (obj, patch) {
+	var result = normalize(obj || {});
+	patch.forEach(function (op) {
+		var path = fromPointer(op.path),
+			key = path.pop(),
+			parent = result,
+			value = normalize(op.value);
+
+		path.forEach(function (token) {
+			parent = parent[token];
+			if( parent === null || typeof parent !== 'object' ) throw new Error('Cannot apply ' + op.op + ' at ' + op.path + '.');
+		});
+		if( Array.isArray(parent) ) {
+			key = key === '-' ? parent.length : parseInt(key, 10);
+			if( op.op === 'add' ) parent.splice(key, 0, value);
+			else if( op.op === 'remove' ) parent.splice(key, 1);
+			else parent[key] = value;
+		} else if( op.op === 'remove' ) {
+			delete parent[key];
+		} else {
+			parent[key] = value;
+		}
+	});
+	return result;
+};
+
+exports.normalize = normalize;
@@ -0,0 +1,210 @@
+/**
+ * Error types
+ *
+ * All errors passed to callbacks (or used to reject Promises) by the plugin
+ * inherit from VersionerError and carry a stable `code` property which can
+ * be used to tell them apart without parsing the message.
+ *
+ * + VersionerError           VERSIONER_ERROR, AMBIGUOUS_QUERY, NOT_CONFIGURED,
+ *                            NOT_VERSIONED, INVALID_HISTORY, UNSUPPORTED_FILTER
+ * + RevisionRequiredError    REVISION_REQUIRED
+ * + VersionConflictError     VERSION_CONFLICT
+ * + VersionNotFoundError     VERSION_NOT_FOUND
+ * + VersionActiveError       VERSION_ACTIVE
+ * + OriginalNotFoundError    ORIGINAL_NOT_FOUND
+ * + DuplicationError         DUPLICATE
+ * + InconsistentHistoryError INCONSISTENT_HISTORY
+ * + ShadowWriteError         SHADOW_WRITE_FAILED
+ * + InvalidTransitionError   INVALID_TRANSITION
+ * + NotApprovedError         NOT_APPROVED
+ * + MergeConflictError       MERGE_CONFLICT
+ */
+
+'use strict';
+
+var util = require('util');
+
+/**
+ * VersionerError
+ *
+ * @param {String} message
+ * @param {String} [code]
+ */
+function VersionerError(message, code) {
+	Error.call(this);
+	if( Error.captureStackTrace ) Error.captureStackTrace(this, this.constructor);
+	this.name = 'VersionerError';
+	this.message = message;
+	this.code = code || 'VERSIONER_ERROR';
+}
+util.inherits(VersionerError, Error);
+
+/**
+ * RevisionRequiredError
+ *
+ * The revision (versionId) of the document to change was not given.
+ */
+function RevisionRequiredError() {
+	VersionerError.call(this, 'Please specify the revision you would like to change.', 'REVISION_REQUIRED');
+	this.name = 'RevisionRequiredError';
+}
+util.inherits(RevisionRequiredError, VersionerError);
+
+/**
+ * VersionConflictError
+ *
+ * The revision the change is based on is not the active one anymore.
+ *
+ * @param {ObjectId} expected   The revision the caller based the change on
+ * @param {ObjectId} [actual]   The revision which is currently active
+ */
+function VersionConflictError(expected, actual) {
+	VersionerError.call(this, 'Your copy of the data set with revision ' + expected + ' is not up-to-date, please refresh first, then try again.', 'VERSION_CONFLICT');
+	this.name = 'VersionConflictError';
+	this.expected = expected;
+	this.actual = actual;
+}
+util.inherits(VersionConflictError, VersionerError);
+
+/**
+ * VersionNotFoundError
+ *
+ * @param {ObjectId} id   The Id of the missing document version
+ */
+function VersionNotFoundError(id) {
+	VersionerError.call(this, 'The version ' + id + ' does not exist.', 'VERSION_NOT_FOUND');
+	this.name = 'VersionNotFoundError';
+	this.versionId = id;
+}
+util.inherits(VersionNotFoundError, VersionerError);
+
+/**
+ * VersionActiveError
+ *
+ * The version is the active version of its document and cannot be removed.
+ *
+ * @param {ObjectId} id   The Id of the active version
+ */
+function VersionActiveError(id) {
+	VersionerError.call(this, 'The version ' + id + ' is active and cannot be deleted.', 'VERSION_ACTIVE');
+	this.name = 'VersionActiveError';
+	this.versionId = id;
+}
+util.inherits(VersionActiveError, VersionerError);
+
+/**
+ * OriginalNotFoundError
+ *
+ * @param {ObjectId} id   The Id of the missing original document
+ */
+function OriginalNotFoundError(id) {
+	VersionerError.call(this, 'The document ' + id + ' does not exist.', 'ORIGINAL_NOT_FOUND');
+	this.name = 'OriginalNotFoundError';
+	this.documentId = id;
+}
+util.inherits(OriginalNotFoundError, VersionerError);
+
+/**
+ * DuplicationError
+ *
+ * @param {ObjectId} id   The Id of the already existing document
+ */
+function DuplicationError(id) {
+	VersionerError.call(this, 'The document already exists with id ' + id + '.', 'DUPLICATE');
+	this.name = 'DuplicationError';
+	this.documentId = id;
+}
+util.inherits(DuplicationError, VersionerError);
+
+/**
+ * InconsistentHistoryError
+ *
+ * The original and shadow collections do not agree with each other.
+ *
+ * @param {String} [message]
+ */
+function InconsistentHistoryError(message) {
+	VersionerError.call(this, message || 'Your version documents are inconsistent.', 'INCONSISTENT_HISTORY');
+	this.name = 'InconsistentHistoryError';
+}
+util.inherits(InconsistentHistoryError, VersionerError);
+
+/**
+ * ShadowWriteError
+ *
+ * The original document was written but its version could not be stored.
+ *
+ * @param {Error} cause
+ * @param {ObjectId} [versionId]   The Id the version should have been stored with
+ */
+function ShadowWriteError(cause, versionId) {
+	VersionerError.call(this, 'Error saving the version document: ' + ( cause && cause.message || cause ), 'SHADOW_WRITE_FAILED');
+	this.name = 'ShadowWriteError';
+	this.cause = cause;
+	this.versionId = versionId;
+}
+util.inherits(ShadowWriteError, VersionerError);
+
+/**
+ * InvalidTransitionError
+ *
+ * The workflow does not allow a version to be moved from one state to the other.
+ *
+ * @param {String} from
+ * @param {String} to
+ */
+function InvalidTransitionError(from, to) {
+	VersionerError.call(this, 'A version cannot be moved from state ' + from + ' to state ' + to + '.', 'INVALID_TRANSITION');
+	this.name = 'InvalidTransitionError';
+	this.from = from;
+	this.to = to;
+}
+util.inherits(InvalidTransitionError, VersionerError);
+
+/**
+ * NotApprovedError
+ *
+ * The version is not in a workflow state it can be activated in.
+ *
+ * @param {ObjectId} id   The Id of the version
+ * @param {String} state  The state of the version
+ */
+function NotApprovedError(id, state) {
+	VersionerError.call(this, 'The version ' + id + ' cannot be activated in state ' + state + '.', 'NOT_APPROVED');
+	this.name = 'NotApprovedError';
+	this.versionId = id;
+	this.state = state;
+}
+util.inherits(NotApprovedError, VersionerError);
+
+/**
+ * MergeConflictError
+ *
+ * A stale save could not be merged with the changes saved in the meantime
+ * because both changed the same fields.
+ *
+ * @param {ObjectId} expected   The revision the caller based the change on
+ * @param {ObjectId} actual     The revision which is currently active
+ * @param {Array} conflicts     [{ path, base, current, incoming }], see lib/merge.js
+ */
+function MergeConflictError(expected, actual, conflicts) {
+	VersionerError.call(this, 'Your changes to revision ' + expected + ' conflict with the changes saved in revision ' + actual + '.', 'MERGE_CONFLICT');
+	this.name = 'MergeConflictError';
+	this.expected = expected;
+	this.actual = actual;
+	this.conflicts = conflicts;
+}
+util.inherits(MergeConflictError, VersionerError);
+
+exports.VersionerError = VersionerError;
+exports.RevisionRequiredError = RevisionRequiredError;
+exports.VersionConflictError = VersionConflictError;
+exports.VersionNotFoundError = VersionNotFoundError;
+exports.VersionActiveError = VersionActiveError;
+exports.OriginalNotFoundError = OriginalNotFoundError;
+exports.DuplicationError = DuplicationError;
+exports.InconsistentHistoryError = InconsistentHistoryError;
+exports.ShadowWriteError = ShadowWriteError;
+exports.InvalidTransitionError = InvalidTransitionError;
+exports.NotApprovedError = NotApprovedError;
+exports.MergeConflictError = MergeConflictError;
@@ -0,0 +1,110 @@
+/**
+ * Three-way merge
+ *
+ * Merges the changes two editors made to the same base version of a
+ * document.  The changes of both sides are taken from diff(), a change of
+ * the incoming side is applied to the current state unless the current side
+ * changed the same field (or a field containing or contained in it) to a
+ * different value, in which case it is reported as a conflict:
+ *
+ *   { path: ['nested', 'field'], base: ..., current: ..., incoming: ... }
+ *
+ * Arrays are merged as a whole, changes to different elements of the same
+ * array on both sides conflict.
+ */
+
+'use strict';
+
+var diff = require('./diff');
+
+// Changes inside an array count as changes of the array
+function truncate(path) {
+	for( var i = 0; i < path.length; i++ ) {
+		if( typeof path[i] === 'number' ) return path.slice(0, i);
+	}
+	return path;
+}
+
+function changedPaths(a, b) {
+	var seen = {};
+	return diff.diff(a, b).map(function (change) {
+		return truncate(change.path);
+	}).filter(function (path) {
+		var key = JSON.stringify(path);
+		if( seen[key] ) return false;
+		seen[key] = true;
+		return true;
+	});
+}
+
+function isPrefix(prefix, path) {
+	if( prefix.length > path.length ) return false;
+	for( var i = 0; i < prefix.length; i++ ) {
+		if( prefix[i] !== path[i] ) return false;
+	}
+	return true;
+}
+
+function get(obj, path) {
+	for( var i = 0; i < path.length; i++ ) {
+		if( obj === null || typeof obj !== 'object' ) return undefined;
+		obj = obj[path[i]];
+	}
+	return obj;
+}
+
+function set(obj, path, value) {
+	var key = path[path.length - 1];
+	for( var i = 0; i < path.length - 1; i++ ) {
+		if( obj[path[i]] === null || typeof obj[path[i]] !== 'object' ) {
+			if( value === undefined ) return;
+			obj[path[i]] = {};
+		}
+		obj = obj[path[i]];
+	}
+	if( value === undefined ) delete obj[key];
+	else obj[key] = value;
+}
+
+function equal(a, b) {
+	if( a === undefined || b === undefined ) return a === b;
+	return diff.diff({ value: a }, { value: b }).length === 0;
+}
+
+/**
+ * merge
+ *
+ * @param {Object} base       The version both sides started from
+ * @param {Object} current    The state saved in the meantime
+ * @param {Object} incoming   The state to be saved
+ * @return {Object} { result, conflicts } where result is the merged state
+ */
+exports.merge = function (base, current, incoming) {
+	var result = diff.normalize(current || {}),
+		theirs = diff.normalize(incoming || {}),
+		ours = changedPaths(base, current),
+		conflicts = [],
+		reported = {};
+
+	base = diff.normalize(base || {});
+	changedPaths(base, incoming).forEach(function (path) {
+		var overlapping = ours.filter(function (other) {
+			return isPrefix(path, other) || isPrefix(other, path);
+		});
+		if( ! overlapping.length ) return set(result, path, get(theirs, path));
+		overlapping.forEach(function (other) {
+			var shorter = other.length < path.length ? other : path,
+				key = JSON.stringify(shorter);
+			// both sides made the same change
+			if( equal(get(result, shorter), get(theirs, shorter)) || reported[key] ) return;
+			reported[key] = true;
+			conflicts.push({
+				path: shorter,
+				base: get(base, shorter),
+				current: get(result, shorter),
+				incoming: get(theirs, shorter)
+			});
+		});
+	});
+	return { result: result, conflicts: conflicts };
+};
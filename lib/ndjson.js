@@ -0,0 +1,111 @@
+/**
+ * NDJSON helpers
+ *
+ * Reads and writes newline delimited JSON, one object per line, on node
+ * streams.  Writing waits for the stream to drain and reading pauses the
+ * stream while a line is processed, so large histories never pile up in
+ * memory.
+ */
+
+'use strict';
+
+var eachSeries = require('./callback').eachSeries,
+	errors = require('./errors');
+
+/**
+ * writeLine
+ *
+ * @param {Writable} stream
+ * @param {Object} obj
+ * @param {Function} callback   function (err), called once the stream can take more or
+ *                              with the error of the stream if it fails or closes first
+ */
+exports.writeLine = function (stream, obj, callback) {
+	var line;
+	try {
+		line = JSON.stringify(obj) + '\n';
+	} catch( err ) {
+		return process.nextTick(callback, err);
+	}
+	if( stream.write(line) ) return process.nextTick(callback);
+
+	function done(err) {
+		stream.removeListener('drain', drained);
+		stream.removeListener('error', done);
+		stream.removeListener('close', closed);
+		callback(err);
+	}
+	function drained() {
+		done();
+	}
+	function closed() {
+		done(new errors.VersionerError('The stream was closed before it took the line.'));
+	}
+	stream.on('drain', drained);
+	stream.on('error', done);
+	stream.on('close', closed);
+};
+
+/**
+ * eachLine
+ *
+ * Calls fn for the object of each non-empty line one after another and
+ * stops at the first error, including lines which are not valid JSON.
+ *
+ * @param {Readable} stream
+ * @param {Function} fn         function (obj, number, callback) where number is the line number
+ * @param {Function} callback   function (err)
+ */
+exports.eachLine = function (stream, fn, callback) {
+	var buffered = '', number = 0, finished = false, ended = false, queue = [], busy = false;
+
+	function finish(err) {
+		if( finished ) return;
+		finished = true;
+		callback(err);
+	}
+
+	function processLines(lines, next) {
+		eachSeries(lines, function (line, next) {
+			var obj;
+			number++;
+			if( ! line.trim() ) return next();
+			try {
+				obj = JSON.parse(line);
+			} catch( err ) {
+				return next(new errors.VersionerError('Line ' + number + ' is not valid JSON: ' + err.message, 'INVALID_HISTORY'));
+			}
+			fn(obj, number, next);
+		}, next);
+	}
+
+	// 'end' may be emitted while the lines of the last chunk are processed, chunks are queued
+	function drain() {
+		if( busy || finished ) return;
+		if( ! queue.length ) {
+			if( ended ) processLines([buffered], finish);
+			else stream.resume();
+			return;
+		}
+		busy = true;
+		processLines(queue.shift(), function (err) {
+			busy = false;
+			if( err ) return finish(err);
+			drain();
+		});
+	}
+
+	if( typeof stream.setEncoding === 'function' ) stream.setEncoding('utf8');
+	stream.on('data', function (chunk) {
+		var lines = ( buffered + chunk ).split('\n');
+		buffered = lines.pop();
+		stream.pause();
+		queue.push(lines);
+		drain();
+	});
+	stream.on('end', function () {
+		ended = true;
+		drain();
+	});
+	stream.on('error', finish);
+};
@@ -0,0 +1,185 @@
+/**
+ * REST router
+ *
+ * Creates an Express router exposing the versioning API of a model as JSON:
+ *
+ *   POST   /                              creates a document from the body
+ *   DELETE /:id                           deletes the document (?revision=<versionId>)
+ *   POST   /:id/restore                   restores a deleted document ({versionId} optional)
+ *   GET    /:id/versions                  lists its versions, also if deleted (?order, limit, after, before)
+ *   POST   /:id/versions                  saves the body as the new active version (revision in If-Match or body)
+ *   GET    /:id/versions/:vid             returns a version
+ *   PUT    /:id/versions/:vid             changes a version, the active one is saved like POST /:id/versions
+ *   DELETE /:id/versions/:vid             deletes an inactive version
+ *   POST   /:id/versions/:vid/activate    makes a version the active one
+ *   GET    /:id/versions/:vid/diff        diffs a version (?to=<versionId>, format=patch)
+ *
+ * Errors of the plugin are sent as `{error: {message, code}}` with the
+ * status of their code, all other errors are passed on to the error
+ * handlers of the application.
+ */
+
+'use strict';
+
+var errors = require('./errors');
+
+var statuses = {
+	VERSION_NOT_FOUND: 404,
+	ORIGINAL_NOT_FOUND: 404,
+	REVISION_REQUIRED: 428,
+	VERSION_CONFLICT: 409,
+	MERGE_CONFLICT: 409,
+	DUPLICATE: 409,
+	INVALID_TRANSITION: 409,
+	NOT_APPROVED: 409,
+	VERSION_ACTIVE: 409,
+	AMBIGUOUS_QUERY: 400
+};
+
+/**
+ * router
+ *
+ * @param {Model} model       A model using the plugin
+ * @param {Object} options    express: a reference to the express module (required),
+ *                            meta: function (req) returning { author, comment } of a change,
+ *                            versionIdPath, versionOfIdPath: as passed to the plugin
+ * @return {Router}
+ */
+module.exports = function (model, options) {
+	options = options || {};
+	if( ! options.express ) throw new Error('The express option is required.');
+
+	var router = options.express.Router(),
+		versionIdPath = options.versionIdPath || 'versionId',
+		versionOfIdPath = options.versionOfIdPath || 'versionOfId';
+
+	function meta(req) {
+		return options.meta ? { meta: options.meta(req) } : {};
+	}
+
+	function send(res, next, status) {
+		return function (err, result) {
+			if( ! err ) return status === 204 ? res.status(204).end() : res.status(status || 200).json(result);
+			if( err.code && statuses[err.code] ) {
+				var body = { message: err.message, code: err.code };
+				if( err.conflicts ) body.conflicts = err.conflicts;
+				return res.status(statuses[err.code]).json({ error: body });
+			}
+			if( err.name === 'ValidationError' || err.name === 'CastError' ) {
+				return res.status(400).json({ error: { message: err.message, code: err.name } });
+			}
+			next(err);
+		};
+	}
+
+	// The revision a change is based on, from the If-Match header (an ETag) or the body
+	function revisionOf(req) {
+		var header = req.get('If-Match');
+		if( header ) return header.replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+		return req.body && req.body[versionIdPath];
+	}
+
+	// Saves the body as the new active version of the document, the revision check is up to upsertVersion
+	function saveActive(req, res, next, revision, status) {
+		var data = Object.assign({}, req.body);
+		data._id = req.params.id;
+		if( revision ) data[versionIdPath] = revision;
+		else delete data[versionIdPath];
+		model.upsertVersion(data, null, meta(req), send(res, next, status));
+	}
+
+	// Looks up the version and makes sure it belongs to the document
+	function findVersion(req, res, next, callback) {
+		model.findVersionById(req.params.vid, null, null, function (err, version) {
+			if( ! err && ( ! version || String(version[versionOfIdPath]) !== req.params.id ) ) {
+				err = new errors.VersionNotFoundError(req.params.vid);
+			}
+			if( err ) return send(res, next)(err);
+			callback(version);
+		});
+	}
+
+	if( options.express.json ) router.use(options.express.json());
+
+	router.post('/', function (req, res, next) {
+		var data = Object.assign({}, req.body);
+		delete data._id;
+		delete data[versionIdPath];
+		model.upsertVersion(data, null, meta(req), send(res, next, 201));
+	});
+
+	router.delete('/:id', function (req, res, next) {
+		var query = { _id: req.params.id };
+		if( req.query.revision ) query[versionIdPath] = req.query.revision;
+		model.deleteOriginal(query, null, meta(req), send(res, next));
+	});
+
+	router.post('/:id/restore', function (req, res, next) {
+		model.restoreOriginal(req.params.id, req.body && req.body.versionId, meta(req), send(res, next));
+	});
+
+	router.get('/:id/versions', function (req, res, next) {
+		// also lists the versions of a deleted document, e.g. to pick the one to restore
+		var query = { deleted: true };
+		if( req.query.order ) query.order = req.query.order;
+		if( req.query.limit !== undefined ) {
+			query.limit = Number(req.query.limit);
+			if( ! ( query.limit > 0 ) || query.limit % 1 ) {
+				return res.status(400).json({ error: { message: 'The limit has to be a positive integer.', code: 'INVALID_LIMIT' } });
+			}
+		}
+		if( req.query.after ) query.after = req.query.after;
+		if( req.query.before ) query.before = req.query.before;
+		model.findVersions(req.params.id, null, query, function (err, result) {
+			if( ! err && ! result.activeId && ! result.total ) {
+				err = new errors.OriginalNotFoundError(req.params.id);
+			}
+			send(res, next)(err, result);
+		});
+	});
+
+	router.post('/:id/versions', function (req, res, next) {
+		saveActive(req, res, next, revisionOf(req), 201);
+	});
+
+	router.get('/:id/versions/:vid', function (req, res, next) {
+		findVersion(req, res, next, function (version) {
+			res.json(version);
+		});
+	});
+
+	router.put('/:id/versions/:vid', function (req, res, next) {
+		findVersion(req, res, next, function () {
+			model.findById(req.params.id, versionIdPath, function (err, original) {
+				if( err ) return send(res, next)(err);
+				// the version is edited in place unless the document shows it
+				if( ! original || String(original[versionIdPath]) !== req.params.vid ) {
+					return model.saveVersion({ data: req.body, versionId: req.params.vid, versionOfId: req.params.id }, meta(req), send(res, next));
+				}
+				saveActive(req, res, next, revisionOf(req) || req.params.vid);
+			});
+		});
+	});
+
+	router.delete('/:id/versions/:vid', function (req, res, next) {
+		findVersion(req, res, next, function () {
+			model.deleteVersion(req.params.vid, meta(req), send(res, next, 204));
+		});
+	});
+
+	router.post('/:id/versions/:vid/activate', function (req, res, next) {
+		findVersion(req, res, next, function () {
+			model.activateVersion(req.params.vid, meta(req), send(res, next));
+		});
+	});
+
+	router.get('/:id/versions/:vid/diff', function (req, res, next) {
+		findVersion(req, res, next, function () {
+			var diffOptions = { format: req.query.format };
+			if( req.query.to ) model.diffVersions(req.params.vid, req.query.to, diffOptions, send(res, next));
+			else model.diffActive(req.params.vid, diffOptions, send(res, next));
+		});
+	});
+
+	return router;
+};
@@ -0,0 +1,111 @@
+/**
+ * Tests of lib/callback.js, run with `npm test`
+ */
+
+'use strict';
+
+var assert = require('assert'),
+	callbacks = require('../lib/callback');
+
+// passes on the arguments it was called with and who it was called on
+var echo = callbacks.optional(2, function (a, b, callback) {
+	if( a === 'fail' ) return callback(new Error('failed'));
+	callback(null, { self: this, args: [a, b] });
+});
+
+var tests = {
+
+	'optional pads left out arguments and calls the callback': function (done) {
+		var self = {};
+		assert.strictEqual(echo.call(self, 1, function (err, result) {
+			assert.ifError(err);
+			assert.strictEqual(result.self, self);
+			assert.deepStrictEqual(result.args, [1, undefined]);
+		}), undefined);
+		done();
+	},
+
+	'optional drops surplus arguments before the callback': function (done) {
+		echo(1, 2, 3, function (err, result) {
+			assert.deepStrictEqual(result.args, [1, 2]);
+			done();
+		});
+	},
+
+	'optional returns a Promise without a callback': function (done) {
+		echo(1).then(function (result) {
+			assert.deepStrictEqual(result.args, [1, undefined]);
+			return echo('fail');
+		}).then(function () {
+			assert.fail('the Promise should have been rejected');
+		}, function (err) {
+			assert.strictEqual(err.message, 'failed');
+			done();
+		});
+	},
+
+	'eachSeries calls fn for each item in order': function (done) {
+		var seen = [];
+		callbacks.eachSeries([1, 2, 3], function (item, next) {
+			seen.push(item);
+			if( item === 2 ) return setImmediate(next);
+			next();
+		}, function (err) {
+			assert.ifError(err);
+			assert.deepStrictEqual(seen, [1, 2, 3]);
+			done();
+		});
+	},
+
+	'eachSeries stops at the first error': function (done) {
+		var seen = [];
+		callbacks.eachSeries([1, 2, 3], function (item, next) {
+			seen.push(item);
+			next(item === 2 ? new Error('stop') : null);
+		}, function (err) {
+			assert.strictEqual(err.message, 'stop');
+			assert.deepStrictEqual(seen, [1, 2]);
+			done();
+		});
+	},
+
+	'eachSeries calls back once for no items': function (done) {
+		var calls = 0;
+		callbacks.eachSeries([], function () {
+			assert.fail('fn should not be called');
+		}, function (err) {
+			assert.ifError(err);
+			calls++;
+		});
+		assert.strictEqual(calls, 1);
+		done();
+	},
+
+	'eachSeries handles long lists called back right away without overflowing the stack': function (done) {
+		var items = [], sum = 0;
+		for( var i = 0; i < 200000; i++ ) items.push(1);
+		callbacks.eachSeries(items, function (item, next) {
+			sum += item;
+			next();
+		}, function (err) {
+			assert.ifError(err);
+			assert.strictEqual(sum, items.length);
+			done();
+		});
+	}
+
+};
+
+var names = Object.keys(tests), passed = 0;
+process.on('exit', function () {
+	if( passed === names.length ) return;
+	console.log('not ok - ' + names[passed] + ' never finished');
+	process.exitCode = 1;
+});
+(function run() {
+	if( passed >= names.length ) return;
+	tests[names[passed]](function () {
+		console.log('ok - ' + names[passed++]);
+		run();
+	});
+})();
@@ -0,0 +1,167 @@
+/**
+ * Tests of lib/diff.js, run with `npm test`
+ */
+
+'use strict';
+
+var assert = require('assert'),
+	mongoose = require('mongoose'),
+	diff = require('../lib/diff');
+
+var tests = {
+
+	'normalize turns dates and ObjectIds into JSON': function () {
+		var id = new mongoose.Types.ObjectId('5f0c6d8e9b1e8a3d4c2b1a09');
+		assert.deepStrictEqual(diff.normalize({
+			at: new Date('2020-01-02T03:04:05.000Z'),
+			ref: id,
+			list: [id],
+			gone: undefined
+		}), {
+			at: '2020-01-02T03:04:05.000Z',
+			ref: '5f0c6d8e9b1e8a3d4c2b1a09',
+			list: ['5f0c6d8e9b1e8a3d4c2b1a09']
+		});
+	},
+
+	'normalize turns Maps into objects': function () {
+		var labels = new Map([['en', 'Hello'], ['de', new Map([['formal', 'Guten Tag']])]]);
+		assert.deepStrictEqual(diff.normalize({ labels: labels }), { labels: { en: 'Hello', de: { formal: 'Guten Tag' } } });
+	},
+
+	'normalize keeps the Map paths of a document': function () {
+		var Doc = mongoose.model('DiffMapDoc', new mongoose.Schema({ labels: { type: Map, of: String } })),
+			doc = new Doc({ labels: { en: 'Hello' } });
+		assert.deepStrictEqual(diff.normalize(doc.toObject()).labels, { en: 'Hello' });
+	},
+
+	'normalize turns Decimal128 into its string form': function () {
+		assert.deepStrictEqual(diff.normalize({ price: mongoose.Types.Decimal128.fromString('19.90') }), { price: '19.90' });
+	},
+
+	'normalize keeps binary data as a Buffer': function () {
+		var normalized = diff.normalize({ data: Buffer.from('hello'), raw: new mongoose.mongo.Binary(Buffer.from('hi')) });
+		assert.ok(Buffer.isBuffer(normalized.data) && normalized.data.toString() === 'hello');
+		assert.ok(Buffer.isBuffer(normalized.raw) && normalized.raw.toString() === 'hi');
+	},
+
+	'diff sees changes inside Maps': function () {
+		assert.deepStrictEqual(diff.diff(
+			{ labels: new Map([['en', 'Hello']]) },
+			{ labels: new Map([['en', 'Hi'], ['de', 'Hallo']]) }
+		), [
+			{ op: 'replace', path: ['labels', 'en'], from: 'Hello', to: 'Hi' },
+			{ op: 'add', path: ['labels', 'de'], to: 'Hallo' }
+		]);
+	},
+
+	'diff compares Decimal128 by value': function () {
+		var Decimal128 = mongoose.Types.Decimal128;
+		assert.deepStrictEqual(diff.diff({ price: Decimal128.fromString('1.5') }, { price: Decimal128.fromString('1.5') }), []);
+		assert.deepStrictEqual(diff.diff({ price: Decimal128.fromString('1.5') }, { price: Decimal128.fromString('2.5') }), [
+			{ op: 'replace', path: ['price'], from: '1.5', to: '2.5' }
+		]);
+	},
+
+	'diff compares Buffers by their bytes and never equal to a string': function () {
+		assert.deepStrictEqual(diff.diff({ data: Buffer.from('abc') }, { data: Buffer.from('abc') }), []);
+		assert.strictEqual(diff.diff({ data: Buffer.from('abc') }, { data: Buffer.from('abd') }).length, 1);
+		assert.strictEqual(diff.diff({ data: Buffer.from('YWJj', 'base64') }, { data: 'YWJj' }).length, 1);
+	},
+
+	'diff reports additions, removals and replacements of nested paths': function () {
+		assert.deepStrictEqual(diff.diff(
+			{ title: 'Old', meta: { views: 1, tags: 'a' } },
+			{ title: 'New', meta: { views: 1, lang: 'en' } }
+		), [
+			{ op: 'replace', path: ['title'], from: 'Old', to: 'New' },
+			{ op: 'remove', path: ['meta', 'tags'], from: 'a' },
+			{ op: 'add', path: ['meta', 'lang'], to: 'en' }
+		]);
+	},
+
+	'diff removes array elements from the end': function () {
+		assert.deepStrictEqual(diff.diff({ list: [1, 2, 3] }, { list: [1] }), [
+			{ op: 'remove', path: ['list', 2], from: 3 },
+			{ op: 'remove', path: ['list', 1], from: 2 }
+		]);
+	},
+
+	'diff compares dates by their time': function () {
+		assert.deepStrictEqual(diff.diff({ at: new Date(0) }, { at: new Date(0) }), []);
+	},
+
+	'toJsonPatch escapes the path and leaves the value out of removals': function () {
+		assert.deepStrictEqual(diff.toJsonPatch([
+			{ op: 'replace', path: ['a/b', 'c~d'], from: 1, to: 2 },
+			{ op: 'remove', path: ['list', 0], from: 'x' }
+		]), [
+			{ op: 'replace', path: '/a~1b/c~0d', value: 2 },
+			{ op: 'remove', path: '/list/0' }
+		]);
+	},
+
+	'applyPatch reconstructs the new state from the old one': function () {
+		var a = { title: 'Old', list: [1, 2, 3], meta: { tags: 'a', 'x/y': 1 } },
+			b = { title: 'New', list: [1, 4], meta: { lang: 'en', 'x/y': 2 }, added: { deep: [true] } };
+		assert.deepStrictEqual(diff.applyPatch(a, diff.toJsonPatch(diff.diff(a, b))), b);
+	},
+
+	'applyPatch leaves the patched object alone': function () {
+		var a = { nested: { value: 1 } };
+		diff.applyPatch(a, [{ op: 'replace', path: '/nested/value', value: 2 }]);
+		assert.deepStrictEqual(a, { nested: { value: 1 } });
+	},
+
+	'applyPatch applies a chain of deltas like the delta storage': function () {
+		var states = [
+				{ title: 'A', list: [] },
+				{ title: 'B', list: ['x'] },
+				{ title: 'B', list: ['x', 'y'], extra: 1 },
+				{ list: ['y'] }
+			],
+			content = states[0];
+		for( var i = 1; i < states.length; i++ ) {
+			content = diff.applyPatch(content, diff.toJsonPatch(diff.diff(states[i - 1], states[i])));
+			assert.deepStrictEqual(content, states[i]);
+		}
+	},
+
+	'Buffer and Map paths survive a snapshot plus a delta like the delta storage': function () {
+		var BSON = mongoose.mongo.BSON,
+			Shadow = mongoose.model('DiffDeltaShadow', new mongoose.Schema({
+				data: Buffer,
+				labels: { type: Map, of: String },
+				price: mongoose.Schema.Types.Decimal128,
+				at: Date
+			})),
+			first = new Shadow({ data: Buffer.from('hello'), labels: { en: 'Hello' }, price: '1.50', at: new Date(0) }),
+			second = new Shadow({ data: Buffer.from('world'), labels: { en: 'Hello', de: 'Hallo' }, price: '2.50', at: new Date(1000) });
+		// what expandVersion gets back from the shadow collection with lean()
+		function stored(obj) {
+			return BSON.deserialize(BSON.serialize(obj), { promoteBuffers: false });
+		}
+		var snapshot = stored(first.toObject()),
+			patch = stored({ patch: diff.toJsonPatch(diff.diff(diff.normalize(first.toObject()), second.toObject())) }).patch,
+			content = diff.applyPatch(diff.normalize(snapshot), patch),
+			version = Shadow.hydrate(content);
+		assert.strictEqual(version.data.toString(), 'world');
+		assert.strictEqual(version.labels.get('en'), 'Hello');
+		assert.strictEqual(version.labels.get('de'), 'Hallo');
+		assert.strictEqual(version.price.toString(), '2.50');
+		assert.strictEqual(version.at.getTime(), 1000);
+		assert.strictEqual(Shadow.hydrate(diff.normalize(snapshot)).data.toString(), 'hello');
+	},
+
+	'applyPatch fails on a path which does not exist': function () {
+		assert.throws(function () {
+			diff.applyPatch({}, [{ op: 'add', path: '/missing/value', value: 1 }]);
+		}, /Cannot apply add at \/missing\/value/);
+	}
+
+};
+
+Object.keys(tests).forEach(function (name) {
+	tests[name]();
+	console.log('ok - ' + name);
+});
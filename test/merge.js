@@ -0,0 +1,88 @@
+/**
+ * Tests of lib/merge.js, run with `npm test`
+ */
+
+'use strict';
+
+var assert = require('assert'),
+	merge = require('../lib/merge');
+
+var tests = {
+
+	'changes to different fields are merged': function () {
+		var merged = merge.merge(
+			{ title: 'A', body: 'x' },
+			{ title: 'B', body: 'x' },
+			{ title: 'A', body: 'y' }
+		);
+		assert.deepStrictEqual(merged, { result: { title: 'B', body: 'y' }, conflicts: [] });
+	},
+
+	'different changes to the same field conflict': function () {
+		var merged = merge.merge({ title: 'A' }, { title: 'B' }, { title: 'C' });
+		assert.deepStrictEqual(merged.conflicts, [{ path: ['title'], base: 'A', current: 'B', incoming: 'C' }]);
+		assert.deepStrictEqual(merged.result, { title: 'B' });
+	},
+
+	'the same change on both sides does not conflict': function () {
+		assert.deepStrictEqual(merge.merge({ title: 'A' }, { title: 'B' }, { title: 'B' }).conflicts, []);
+	},
+
+	'a change to a field conflicts with a change inside it': function () {
+		var merged = merge.merge(
+			{ meta: { lang: 'en', views: 1 } },
+			{ meta: { lang: 'de', views: 1 } },
+			{ meta: null }
+		);
+		assert.deepStrictEqual(merged.conflicts, [{ path: ['meta'], base: { lang: 'en', views: 1 }, current: { lang: 'de', views: 1 }, incoming: null }]);
+	},
+
+	'nested fields next to each other are merged': function () {
+		var merged = merge.merge(
+			{ meta: { lang: 'en', views: 1 } },
+			{ meta: { lang: 'de', views: 1 } },
+			{ meta: { lang: 'en', views: 2 } }
+		);
+		assert.deepStrictEqual(merged, { result: { meta: { lang: 'de', views: 2 } }, conflicts: [] });
+	},
+
+	'arrays are merged as a whole': function () {
+		var merged = merge.merge({ tags: ['a', 'b'] }, { tags: ['x', 'b'] }, { tags: ['a', 'y'] });
+		assert.deepStrictEqual(merged.conflicts, [{ path: ['tags'], base: ['a', 'b'], current: ['x', 'b'], incoming: ['a', 'y'] }]);
+	},
+
+	'a field removed by the incoming side is removed': function () {
+		var merged = merge.merge({ title: 'A', body: 'x' }, { title: 'B', body: 'x' }, { title: 'A' });
+		assert.deepStrictEqual(merged, { result: { title: 'B' }, conflicts: [] });
+	},
+
+	'fields left out of partial data count as removed unless filled from the base': function () {
+		var base = { title: 'A', body: 'x', views: 1 },
+			current = { title: 'B', body: 'x', views: 1 },
+			partial = { views: 2 };
+		// this is why upsertVersion fills plain data with the base before merging
+		var unfilled = merge.merge(base, current, partial);
+		assert.deepStrictEqual(unfilled.conflicts.map(function (conflict) { return conflict.path; }), [['title']]);
+		assert.deepStrictEqual(unfilled.result, { title: 'B', views: 2 });
+		assert.deepStrictEqual(merge.merge(base, current, Object.assign({}, base, partial)), {
+			result: { title: 'B', body: 'x', views: 2 },
+			conflicts: []
+		});
+	},
+
+	'dates and ObjectIds are compared by value': function () {
+		var id = function (hex) { return { toHexString: function () { return hex; } }; },
+			merged = merge.merge(
+				{ at: new Date(0), ref: id('aa') },
+				{ at: new Date(1000), ref: id('aa') },
+				{ at: new Date(0), ref: id('bb') }
+			);
+		assert.deepStrictEqual(merged, { result: { at: '1970-01-01T00:00:01.000Z', ref: 'bb' }, conflicts: [] });
+	}
+
+};
+
+Object.keys(tests).forEach(function (name) {
+	tests[name]();
+	console.log('ok - ' + name);
+});
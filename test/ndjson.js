@@ -0,0 +1,153 @@
+/**
+ * Tests of lib/ndjson.js, run with `npm test`
+ */
+
+'use strict';
+
+var assert = require('assert'),
+	stream = require('stream'),
+	errors = require('../lib/errors'),
+	ndjson = require('../lib/ndjson');
+
+// a stream which only takes a line once release() is called
+function slowWritable() {
+	var pending = [],
+		writable = new stream.Writable({
+			highWaterMark: 1,
+			write: function (chunk, encoding, callback) {
+				pending.push(callback);
+			}
+		});
+	writable.release = function () {
+		pending.splice(0).forEach(function (callback) {
+			callback();
+		});
+	};
+	return writable;
+}
+
+function readAll(text, chunks, fn, callback) {
+	var input = new stream.PassThrough(), size = Math.ceil(text.length / chunks);
+	ndjson.eachLine(input, fn, callback);
+	for( var i = 0; i < text.length; i += size ) input.write(text.slice(i, i + size));
+	input.end();
+}
+
+var tests = {
+
+	'writeLine writes an object per line': function (done) {
+		var output = new stream.PassThrough(), text = '';
+		output.on('data', function (chunk) {
+			text += chunk;
+		});
+		ndjson.writeLine(output, { a: 1 }, function (err) {
+			assert.ifError(err);
+			ndjson.writeLine(output, [2], function (err) {
+				assert.ifError(err);
+				assert.strictEqual(text, '{"a":1}\n[2]\n');
+				done();
+			});
+		});
+	},
+
+	'writeLine waits for the stream to drain': function (done) {
+		var output = slowWritable(), drained = false;
+		ndjson.writeLine(output, { a: 1 }, function (err) {
+			assert.ifError(err);
+			assert.ok(drained);
+			assert.strictEqual(output.listenerCount('error'), 0);
+			assert.strictEqual(output.listenerCount('close'), 0);
+			done();
+		});
+		setImmediate(function () {
+			drained = true;
+			output.release();
+		});
+	},
+
+	'writeLine passes on the error of a stream failing before it drains': function (done) {
+		var output = new stream.Writable({
+			highWaterMark: 1,
+			write: function (chunk, encoding, callback) {
+				setImmediate(callback, new Error('disk full'));
+			}
+		});
+		ndjson.writeLine(output, { a: 1 }, function (err) {
+			assert.strictEqual(err.message, 'disk full');
+			done();
+		});
+	},
+
+	'writeLine fails if the stream closes before it drains': function (done) {
+		var output = slowWritable();
+		ndjson.writeLine(output, { a: 1 }, function (err) {
+			assert.ok(err instanceof errors.VersionerError);
+			done();
+		});
+		setImmediate(function () {
+			output.destroy();
+		});
+	},
+
+	'writeLine fails on objects which cannot be serialized': function (done) {
+		var cyclic = {};
+		cyclic.self = cyclic;
+		ndjson.writeLine(new stream.PassThrough(), cyclic, function (err) {
+			assert.ok(err instanceof TypeError);
+			done();
+		});
+	},
+
+	'eachLine reads lines split across chunks with their numbers': function (done) {
+		var read = [];
+		readAll('{"a":1}\n\n{"b":"x\\ny"}\n{"c":3}', 7, function (obj, number, next) {
+			read.push([number, obj]);
+			setImmediate(next);
+		}, function (err) {
+			assert.ifError(err);
+			assert.deepStrictEqual(read, [[1, { a: 1 }], [3, { b: 'x\ny' }], [4, { c: 3 }]]);
+			done();
+		});
+	},
+
+	'eachLine rejects a line which is not valid JSON': function (done) {
+		var read = [];
+		readAll('{"a":1}\n{oops\n{"c":3}\n', 1, function (obj, number, next) {
+			read.push(number);
+			next();
+		}, function (err) {
+			assert.ok(err instanceof errors.VersionerError);
+			assert.strictEqual(err.code, 'INVALID_HISTORY');
+			assert.ok(/^Line 2 /.test(err.message));
+			assert.deepStrictEqual(read, [1]);
+			done();
+		});
+	},
+
+	'eachLine stops at the first error of fn': function (done) {
+		var read = [];
+		readAll('1\n2\n3\n', 2, function (obj, number, next) {
+			read.push(obj);
+			next(obj === 2 ? new Error('stop') : null);
+		}, function (err) {
+			assert.strictEqual(err.message, 'stop');
+			assert.deepStrictEqual(read, [1, 2]);
+			done();
+		});
+	}
+
+};
+
+var names = Object.keys(tests), passed = 0;
+process.on('exit', function () {
+	if( passed === names.length ) return;
+	console.log('not ok - ' + names[passed] + ' never finished');
+	process.exitCode = 1;
+});
+(function run() {
+	if( passed >= names.length ) return;
+	tests[names[passed]](function () {
+		console.log('ok - ' + names[passed++]);
+		run();
+	});
+})();
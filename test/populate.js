@@ -0,0 +1,88 @@
+/**
+ * Tests of populateAsOf, run with `npm test`
+ */
+
+'use strict';
+
+var assert = require('assert'),
+	mongoose = require('mongoose'),
+	versioner = require('../index');
+
+var StorySchema = new mongoose.Schema({
+	title: String,
+	author: { type: mongoose.Schema.Types.ObjectId, ref: 'PopulateAuthor' },
+	editors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'PopulateAuthor' }]
+});
+StorySchema.plugin(versioner, { modelName: 'PopulateStory', mongoose: mongoose });
+
+var Story = mongoose.model('PopulateStory', StorySchema),
+	alice = new mongoose.Types.ObjectId(),
+	bob = new mongoose.Types.ObjectId(),
+	lookups = [],
+	// stands in for a versioned model, the version active at a date of each author
+	Author = {
+		modelName: 'PopulateAuthor',
+		findByIdAsOf: function (id, date, select, options, callback) {
+			lookups.push(id.toString());
+			callback(null, { _id: 'version of ' + id, name: id.equals(alice) ? 'Alice' : 'Bob' });
+		}
+	};
+
+function populate(versions, paths) {
+	var result;
+	Story.populateAsOf(versions, paths, { model: Author, date: new Date(0) }, function (err, populated) {
+		if( err ) throw err;
+		result = populated;
+	});
+	return result;
+}
+
+// the shadow model is registered the first time the plugin is used
+populate([], 'author');
+
+function version(data) {
+	var Shadow = mongoose.model('PopulateStoryShadow');
+	return new Shadow(Object.assign({ versionOfId: new mongoose.Types.ObjectId() }, data));
+}
+
+var tests = {
+
+	'a single reference is populated with the version of the document': function () {
+		var story = populate(version({ title: 'A', author: alice }), 'author');
+		assert.deepStrictEqual(story.author, { _id: 'version of ' + alice, name: 'Alice' });
+		assert.strictEqual(story.title, 'A');
+	},
+
+	'an array of references is populated with a version per document': function () {
+		var story = populate(version({ editors: [alice, bob] }), 'editors');
+		assert.deepStrictEqual(story.editors.map(function (editor) { return editor.name; }), ['Alice', 'Bob']);
+	},
+
+	'the versions passed in keep their Ids': function () {
+		var original = version({ author: alice, editors: [bob] });
+		populate(original, 'author editors');
+		assert.ok(original.author.equals(alice));
+		assert.ok(original.editors[0].equals(bob));
+	},
+
+	'a list of versions is passed on as a list and each document looked up once': function () {
+		lookups = [];
+		var stories = populate([version({ author: alice }), { author: alice, editors: [alice, null] }], 'author editors');
+		assert.strictEqual(stories.length, 2);
+		assert.strictEqual(stories[1].author.name, 'Alice');
+		assert.strictEqual(stories[1].editors[1], null);
+		assert.deepStrictEqual(lookups, [alice.toString()]);
+	},
+
+	'a path which does not refer to a versioned model is rejected': function () {
+		Story.populateAsOf(version({}), 'title', function (err) {
+			assert.strictEqual(err.code, 'NOT_VERSIONED');
+		});
+	}
+
+};
+
+Object.keys(tests).forEach(function (name) {
+	tests[name]();
+	console.log('ok - ' + name);
+});